@@ -1,10 +1,14 @@
 // ==UserScript==
 // @name         Universal AI Chat Styler (Berry Browser Compatible)
 // @namespace    http://yourdomain.example
-// @version      3.9
-// @description  Load custom CSS for ChatGPT, Claude AI, Google Search, Gmail, GitHub, Facebook, Twitter/X, Stack Overflow, and Wikipedia via jsDelivr - Berry Browser Optimized
+// @version      11.0
+// @description  Load custom CSS for ChatGPT, Claude AI, DeepSeek, Grok, Reverso Context, Cambridge Dictionary, Google Search, Gmail, GitHub, Facebook, Twitter/X, Stack Overflow, and Wikipedia via jsDelivr, with per-site enable/disable control and hideable button - Berry Browser Optimized
 // @match        https://chatgpt.com/*
 // @match        https://claude.ai/*
+// @match        https://chat.deepseek.com/*
+// @match        https://grok.com/*
+// @match        https://context.reverso.net/*
+// @match        https://dictionary.cambridge.org/*
 // @match        https://www.google.com/*
 // @match        https://google.com/*
 // @match        https://*.google.com/*
@@ -23,21 +27,51 @@
 // @match        https://*.stackoverflow.com/*
 // @match        https://www.wikipedia.org/*
 // @match        https://*.wikipedia.org/*
+// @match        *://*/*
 // @grant        GM_xmlhttpRequest
-// @run-at       document-end
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM.getValue
+// @grant        GM.setValue
+// @grant        GM.deleteValue
+// @grant        GM.listValues
+// @grant        GM_listValues
+// @grant        GM.xmlHttpRequest
+// @grant        GM_addStyle
+// @grant        GM.addStyle
+// @grant        GM_registerMenuCommand
+// @grant        GM.registerMenuCommand
+// @connect      localhost
+// @connect      127.0.0.1
+// @run-at       document-start
 // ==/UserScript==
 
-(function() {
+(async function() {
 'use strict';
 
 // 🎯 Configuration
 const CONFIG = {
     DEBUG_MODE: true,
+    // Retries back off exponentially from RETRY_DELAY up to MAX_RETRY_DELAY, or wait OFFLINE_RETRY_DELAY while offline
     RETRY_DELAY: 300,
-    MAX_RETRIES: 20,
+    MAX_RETRY_DELAY: 30000,
+    OFFLINE_RETRY_DELAY: 60000,
+    MAX_RETRIES: 10,
+    // One fetch gets FETCH_TIMEOUT per strategy, FETCH_RETRY_TIMEOUT once one has failed, FETCH_DEADLINE in total
+    FETCH_TIMEOUT: 10000,
+    FETCH_RETRY_TIMEOUT: 4000,
+    FETCH_DEADLINE: 30000,
     OBSERVER_THROTTLE: 500,
-    CACHE_DURATION: 12 * 60 * 60 * 1000,
+    // Cached CSS is always applied first; entries older than this are refreshed in the background
+    CACHE_DURATION: 10 * 60 * 1000,
     CACHE_KEY_PREFIX: 'css_cache_',
+    // Stylesheet cache lives in GM storage or IndexedDB, least recently used entries go first past the limit
+    CACHE_DB_NAME: 'site_styler_cache',
+    CACHE_INDEX_KEY: 'site_styler_cache_index',
+    CACHE_MAX_BYTES: 2 * 1024 * 1024,
+    // Synchronous copy of the last applied layers, injected before any async read; one per hostname in GM storage
+    EARLY_CSS_KEY: 'site_styler_early_css',
     BERRY_INITIAL_DELAY: 4000,
     CHATGPT_READY_CHECK_INTERVAL: 200,
     CHATGPT_MAX_READY_CHECKS: 30,
@@ -46,52 +80,158 @@ const CONFIG = {
     GITHUB_DELAY: 1500,
     FACEBOOK_DELAY: 2500,
     TWITTER_DELAY: 1800,
-    STACKOVERFLOW_DELAY: 1200
+    STACKOVERFLOW_DELAY: 1200,
+
+    // Per-site configuration storage
+    SITE_SETTINGS_KEY: 'site_styler_settings_v2',
+
+    // Button visibility control
+    BUTTON_VISIBLE_BY_DEFAULT: false,
+    BUTTON_VISIBILITY_KEY: 'site_styler_button_visible',
+
+    // Sites added from the settings panel
+    CUSTOM_SITES_KEY: 'site_styler_custom_sites',
+
+    // Remote site manifest merged over the built-in SITES
+    MANIFEST_URL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/sites.json',
+    MANIFEST_FALLBACK_URL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/sites.json',
+    MANIFEST_CACHE_KEY: 'site_styler_manifest',
+    MANIFEST_SCHEMA_VERSION: 1,
+
+    // Current page types are exposed on <html> for site CSS to target
+    PAGE_TYPE_ATTRIBUTE: 'data-styler-page',
+    URL_CHECK_INTERVAL: 1000,
+    // Pages may assign document.adoptedStyleSheets at any time, dropping ours without a DOM mutation
+    ADOPTED_CHECK_INTERVAL: 2000,
+
+    // Stylesheet layers
+    SHARED_BASE_URL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/shared_base_style.css',
+    SHARED_BASE_FALLBACK_URL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/shared_base_style.css',
+    LAYER_SETTINGS_KEY: 'site_styler_layers',
+    USER_CSS_KEY_PREFIX: 'site_styler_user_css_',
+
+    // Stylesheet channels: main, a tag or a commit SHA per site
+    DEFAULT_CHANNEL: 'main',
+    ROLLBACK_CHANNEL: 'rollback',
+    CHANNEL_SETTINGS_KEY: 'site_styler_channels',
+    SNAPSHOT_KEY_PREFIX: 'site_styler_previous_css_',
+    // Stylesheet updates the user chose not to take, one SHA-256 per cache entry
+    SKIPPED_UPDATES_KEY: 'site_styler_skipped_updates',
+
+    // CORS proxy integrity
+    PINNED_HASHES_KEY: 'site_styler_pinned_hashes',
+    TRUSTED_PROXY_SITES_KEY: 'site_styler_trusted_proxy_sites',
+
+    // 'auto', 'berry' or 'standard'
+    COMPAT_MODE_KEY: 'site_styler_compat_mode',
+
+    // {{name}} / var(--styler-name) values, for all sites and per site; sites may set templateDefaults
+    TEMPLATE_VALUES_KEY: 'site_styler_template_values',
+    TEMPLATE_VARIABLES: [
+        { name: 'font.size', label: 'Font size', type: 'text', default: '20px' },
+        { name: 'accent', label: 'Accent color', type: 'color', default: '#e08500' },
+        { name: 'accent.secondary', label: 'Secondary accent color', type: 'color', default: '#e10000' }
+    ],
+
+    // Imported UserCSS (==UserStyle==) files, shared by all sites
+    USERSTYLES_KEY: 'site_styler_userstyles',
+
+    // Local stylesheet development
+    DEV_MODE_KEY: 'site_styler_dev_mode',
+    DEV_SERVER_URL: 'http://localhost:8080',
+    DEV_POLL_INTERVAL: 1000,
+
+    // Mirror and proxy chain
+    FETCH_CHAIN_KEY: 'site_styler_fetch_chain',
+    STRATEGY_STATS_KEY: 'site_styler_strategy_stats',
+    // Settings kept in the page's own storage even when GM storage is available
+    LOCAL_SETTING_KEYS: ['site_styler_strategy_stats'],
+
+    // Hosts fetched CSS may load resources from, besides the page's own host
+    CSS_URL_ALLOWLIST: ['cdn.jsdelivr.net', 'raw.githubusercontent.com', 'fonts.googleapis.com', 'fonts.gstatic.com']
 };
 
-// 🎨 Site configuration with jsDelivr URLs
+// 🎨 Site registry - each entry claims hostnames via globs or regexes.
+// '*.example.com' matches example.com and all of its subdomains.
+// When several entries match, the highest priority wins (Gmail over Google).
+// Sites are enabled unless they set enabledByDefault: false; users override it per site.
+// pageStyleURLs maps a pageSelectors type to an extra stylesheet loaded while that page type is shown.
+// pathStyles lists { path, styleURL } layers loaded while the URL path matches, e.g. { path: '/*/pull/*' }.
+// useSharedBase puts shared_base_style.css (scrollbar rules) underneath the site sheet. The Claude and DeepSeek
+// sheets keep their own copy while older script versions still load them without the base layer.
+// templateDefaults overrides TEMPLATE_VARIABLES defaults for the site, e.g. { accent: '#a49502' }. The repo sheets
+// write var(--styler-name, fallback) so they render the same when loaded without the script.
+// allowFrames styles the site inside iframes too; by default only top-level pages are styled.
+// whenNeedsDOM marks a `when` that queries the page: it is checked again once the DOM is parsed.
 const SITES = {
     'chatgpt.com': {
+        hosts: ['chatgpt.com'],
         name: 'ChatGPT',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/ChatGpt_style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/ChatGpt_style.css',
         styleID: 'chatgpt-enhanced-styles',
         needsReadyCheck: true,
         readySelector: 'main, [class*="conversation"], #__next',
-        aggressiveReapply: true
+        aggressiveReapply: true,
+        useSharedBase: true
     },
     'claude.ai': {
+        hosts: ['claude.ai'],
         name: 'Claude AI',
         styleURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/refs/heads/main/Claude_AI_style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Claude_AI_style.css',
         styleID: 'claude-enhanced-styles',
         needsReadyCheck: false,
         readySelector: 'body',
-        aggressiveReapply: false
+        aggressiveReapply: false,
+        useSharedBase: true
     },
-    'www.google.com': {
-        name: 'Google Search',
-        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/google%20Search%20engine.css',
-        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/google%20Search%20engine.css',
-        styleID: 'google-enhanced-styles',
+    'chat.deepseek.com': {
+        hosts: ['chat.deepseek.com'],
+        name: 'DeepSeek',
+        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/deepseek%20style.css',
+        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/deepseek%20style.css',
+        styleID: 'deepseek-enhanced-styles',
         needsReadyCheck: false,
-        readySelector: 'body, #searchform, form[action="/search"], input[name="q"]',
+        readySelector: 'body',
         aggressiveReapply: false,
-        isGoogle: true,
-        searchSelectors: ['#searchform', 'form[action="/search"]', '[name="q"]']
+        useSharedBase: true,
+        templateDefaults: { accent: '#a49502', 'font.size': '18px' }
     },
-    'google.com': {
-        name: 'Google Search',
-        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/google%20Search%20engine.css',
-        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/google%20Search%20engine.css',
-        styleID: 'google-enhanced-styles',
+    'grok.com': {
+        hosts: ['grok.com'],
+        name: 'Grok',
+        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/Grok_style.css',
+        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Grok_style.css',
+        styleID: 'grok-enhanced-styles',
         needsReadyCheck: false,
-        readySelector: 'body, #searchform, form[action="/search"], input[name="q"]',
+        readySelector: 'body',
+        aggressiveReapply: false
+    },
+    'context.reverso.net': {
+        hosts: ['context.reverso.net'],
+        name: 'Reverso Context',
+        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/reverso%20context%20style.css',
+        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/reverso%20context%20style.css',
+        styleID: 'reverso-context-enhanced-styles',
+        needsReadyCheck: false,
+        readySelector: 'body',
+        aggressiveReapply: false
+    },
+    'dictionary.cambridge.org': {
+        hosts: ['dictionary.cambridge.org'],
+        name: 'Cambridge Dictionary',
+        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/cambridge%20dict.css',
+        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/cambridge%20dict.css',
+        styleID: 'cambridge-enhanced-styles',
+        needsReadyCheck: false,
+        readySelector: 'body',
         aggressiveReapply: false,
-        isGoogle: true,
-        searchSelectors: ['#searchform', 'form[action="/search"]', '[name="q"]']
+        templateDefaults: { accent: '#e10000' }
     },
     'mail.google.com': {
+        hosts: ['mail.google.com'],
+        priority: 100,
         name: 'Gmail',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/mail.google.com.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/mail.google.com.css',
@@ -108,7 +248,29 @@ const SITES = {
             'chat': 'div[role="main"] div[gh="cm"]'
         }
     },
+    'google.com': {
+        hosts: ['*.google.com'],
+        priority: 10,
+        // Other Google subdomains are only styled on search pages
+        when: (hostname, pathname) => hostname === 'google.com' ||
+            hostname === 'www.google.com' ||
+            pathname === '/search' ||
+            pathname === '/' ||
+            !!document.querySelector('input[name="q"]') ||
+            !!document.querySelector('form[action*="/search"]'),
+        whenNeedsDOM: true,
+        name: 'Google Search',
+        styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/google%20Search%20engine.css',
+        fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/google%20Search%20engine.css',
+        styleID: 'google-enhanced-styles',
+        needsReadyCheck: false,
+        readySelector: 'body, #searchform, form[action="/search"], input[name="q"]',
+        aggressiveReapply: false,
+        isGoogle: true,
+        searchSelectors: ['#searchform', 'form[action="/search"]', '[name="q"]']
+    },
     'github.com': {
+        hosts: ['*.github.com'],
         name: 'GitHub',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/github%20style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/github%20style.css',
@@ -127,7 +289,8 @@ const SITES = {
             'pull_requests': '.pull-requests-listing'
         }
     },
-    'www.facebook.com': {
+    'facebook.com': {
+        hosts: ['*.facebook.com'],
         name: 'Facebook',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/Facebook_style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Facebook_style.css',
@@ -147,6 +310,7 @@ const SITES = {
         }
     },
     'x.com': {
+        hosts: [/^(?:.+\.)?(?:x|twitter)\.com$/],
         name: 'Twitter/X',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/twitter%20style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/twitter%20style.css',
@@ -166,6 +330,7 @@ const SITES = {
         }
     },
     'stackoverflow.com': {
+        hosts: ['*.stackoverflow.com'],
         name: 'Stack Overflow',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/Stack%20Overflow%20style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Stack%20Overflow%20style.css',
@@ -185,8 +350,9 @@ const SITES = {
             'search': '.search-results'
         }
     },
-    // Wikipedia portal
-    'www.wikipedia.org': {
+    // Wikipedia portal and every language edition (en.wikipedia.org, fr.wikipedia.org, ...)
+    'wikipedia.org': {
+        hosts: ['*.wikipedia.org'],
         name: 'Wikipedia',
         styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/wikipedia%20style.css',
         fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/wikipedia%20style.css',
@@ -197,158 +363,522 @@ const SITES = {
     }
 };
 
-// 🏗️ Enhanced site detection - FIXED VERSION
-function detectCurrentSite() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
+// 🧩 Userscript manager shim - one API over GM_* (Tampermonkey, Violentmonkey), the GM.* promises
+// (Greasemonkey 4, Userscripts) and no-grant environments such as Berry Browser
+const gmApi = {
+    GM4: typeof GM !== 'undefined' && GM ? GM : {},
+
+    legacy: {
+        getValue: typeof GM_getValue === 'function' ? GM_getValue : null,
+        setValue: typeof GM_setValue === 'function' ? GM_setValue : null,
+        deleteValue: typeof GM_deleteValue === 'function' ? GM_deleteValue : null,
+        listValues: typeof GM_listValues === 'function' ? GM_listValues : null,
+        xmlHttpRequest: typeof GM_xmlhttpRequest === 'function' ? GM_xmlhttpRequest : null,
+        addStyle: typeof GM_addStyle === 'function' ? GM_addStyle : null,
+        registerMenuCommand: typeof GM_registerMenuCommand === 'function' ? GM_registerMenuCommand : null
+    },
+
+    has(name) {
+        return !!this.legacy[name] || typeof this.GM4[name] === 'function';
+    },
 
-    // 🆕 IMPORTANT: Check for Gmail FIRST before generic Google
-    if (hostname === 'mail.google.com') {
-        return SITES['mail.google.com'];
-    }
+    // 'gm' when values can be read synchronously, 'gm-async' for promise-only managers, 'local' without grants
+    storageMode() {
+        if (this.legacy.getValue && this.legacy.setValue) return 'gm';
+        if (typeof this.GM4.getValue === 'function' && typeof this.GM4.setValue === 'function') return 'gm-async';
+        return 'local';
+    },
+
+    getValueSync(key, defaultValue) {
+        return this.legacy.getValue(key, defaultValue);
+    },
+
+    setValueSync(key, value) {
+        this.legacy.setValue(key, value);
+    },
+
+    async getValue(key, defaultValue) {
+        return this.legacy.getValue ? this.legacy.getValue(key, defaultValue) : this.GM4.getValue(key, defaultValue);
+    },
+
+    async setValue(key, value) {
+        return this.legacy.setValue ? this.legacy.setValue(key, value) : this.GM4.setValue(key, value);
+    },
+
+    async deleteValue(key) {
+        return this.legacy.deleteValue ? this.legacy.deleteValue(key) : this.GM4.deleteValue(key);
+    },
+
+    async listValues() {
+        if (this.legacy.listValues) return this.legacy.listValues();
+        return typeof this.GM4.listValues === 'function' ? this.GM4.listValues() : null;
+    },
+
+    xmlHttpRequest(details) {
+        return (this.legacy.xmlHttpRequest || this.GM4.xmlHttpRequest)(details);
+    },
+
+    // Resolves to the injected element, or null when the manager has no addStyle
+    async addStyle(css) {
+        if (this.legacy.addStyle) return this.legacy.addStyle(css);
+        if (typeof this.GM4.addStyle === 'function') return this.GM4.addStyle(css);
+        return null;
+    },
+
+    registerMenuCommand(caption, onClick) {
+        const register = this.legacy.registerMenuCommand || this.GM4.registerMenuCommand;
+        if (typeof register !== 'function') return false;
+
+        register(caption, onClick);
+        return true;
+    },
 
-    // Direct domain match for other sites
-    if (SITES[hostname]) {
-        return SITES[hostname];
+    describe() {
+        const info = typeof GM_info !== 'undefined' ? GM_info : this.GM4.info;
+        const manager = info ? `${info.scriptHandler || 'Unknown manager'} ${info.version || ''}`.trim() : 'No userscript manager';
+        const flavor = this.storageMode() === 'gm' ? 'GM_*' : this.storageMode() === 'gm-async' ? 'GM.*' : 'no grants';
+        return `${manager} (${flavor})`;
     }
+};
 
-    // Handle other Google subdomains (except mail.google.com which we already handled)
-    if (hostname.includes('google.') && hostname !== 'mail.google.com') {
-        const isSearchPage = pathname === '/search' ||
-                            pathname === '/' ||
-                            document.querySelector('input[name="q"]') ||
-                            document.querySelector('form[action*="/search"]');
-
-        if (isSearchPage) {
-            return {
-                name: 'Google Search',
-                styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/google%20Search%20engine.css',
-                fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/google%20Search%20engine.css',
-                styleID: 'google-enhanced-styles',
-                needsReadyCheck: false,
-                readySelector: 'body, #searchform, form[action="/search"], input[name="q"]',
-                aggressiveReapply: false,
-                isGoogle: true,
-                searchSelectors: ['#searchform', 'form[action="/search"]', '[name="q"]']
-            };
+// 💾 Settings store - global settings live in userscript storage, so a toggle made on one site applies on every site
+// GM storage through gmApi when granted, otherwise only this origin's localStorage
+const settingsStore = {
+    mode: 'local',
+    values: {},
+
+    // GM.* only offers promises, so settings are read up front and served from memory.
+    // The script runs on every page, so only the keys siteRegistry.resolve() needs are read before a site matched
+    async preload(keys) {
+        this.mode = gmApi.storageMode();
+        if (this.mode !== 'gm-async') return;
+
+        try {
+            for (const key of keys) {
+                this.values[key] = await gmApi.getValue(key);
+            }
+        } catch (e) {
+            console.log('AI Chat Styler: GM storage unavailable, settings stay on this site', e);
+            this.mode = 'local';
         }
-    }
+    },
 
-    // Handle GitHub domains
-    if (hostname.includes('github.')) {
-        return {
-            name: 'GitHub',
-            styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/github%20style.css',
-            fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/github%20style.css',
-            styleID: 'github-enhanced-styles',
-            needsReadyCheck: true,
-            readySelector: 'body, .application-main, #js-repo-pjax-container, [data-turbo-body]',
-            aggressiveReapply: true,
-            isGitHub: true,
-            pageSelectors: {
-                'dashboard': '.dashboard',
-                'repository': '.repository-content',
-                'profile': '.user-profile',
-                'explore': '.explore-content',
-                'marketplace': '.marketplace-content',
-                'issues': '.issues-listing',
-                'pull_requests': '.pull-requests-listing'
+    // The remaining shared settings and this site's per-site keys (user CSS, snapshots);
+    // cached stylesheets are skipped here, cacheStore reads those on demand
+    async preloadSite(siteKey) {
+        if (this.mode !== 'gm-async') return;
+
+        const entries = Object.entries(CONFIG);
+        const keys = [
+            ...entries.filter(([name]) => name.endsWith('_KEY')).map(([, key]) => key),
+            ...entries.filter(([name, prefix]) => name.endsWith('_KEY_PREFIX') && prefix !== CONFIG.CACHE_KEY_PREFIX)
+                .map(([, prefix]) => prefix + siteKey)
+        ];
+
+        try {
+            for (const key of keys.filter(key => !(key in this.values))) {
+                this.values[key] = await gmApi.getValue(key);
             }
-        };
-    }
+        } catch (e) {
+            console.log(`AI Chat Styler: Could not read settings for ${siteKey}`, e);
+        }
+    },
 
-    // Handle Facebook domains
-    if (hostname.includes('facebook.')) {
-        return {
-            name: 'Facebook',
-            styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/Facebook_style.css',
-            fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Facebook_style.css',
-            styleID: 'facebook-enhanced-styles',
-            needsReadyCheck: true,
-            readySelector: 'body, #facebook, [role="main"], [data-pagelet], ._2s1x',
-            aggressiveReapply: true,
-            isFacebook: true,
-            pageSelectors: {
-                'home': '[data-pagelet="root"]',
-                'profile': '[data-pagelet="ProfileTimeline"]',
-                'messages': '[data-pagelet="MessagingWindow"]',
-                'notifications': '[data-pagelet="NotificationsFlyout"]',
-                'watch': '[data-pagelet="VideoHomePage"]',
-                'marketplace': '[data-pagelet="MarketplacePage"]',
-                'groups': '[data-pagelet="GroupsPage"]'
+    isGlobal(key) {
+        return this.mode !== 'local' && !CONFIG.LOCAL_SETTING_KEYS.includes(key);
+    },
+
+    readLocal(key) {
+        try {
+            const item = localStorage.getItem(key);
+            return item !== null ? JSON.parse(item) : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    get(key, defaultValue) {
+        if (!this.isGlobal(key)) {
+            const localValue = this.readLocal(key);
+            return localValue !== undefined ? localValue : defaultValue;
+        }
+
+        const value = this.mode === 'gm' ? gmApi.getValueSync(key, undefined) : this.values[key];
+        if (value !== undefined) return value;
+
+        // First run with GM storage: adopt what this origin had saved locally
+        const localValue = this.readLocal(key);
+        if (localValue !== undefined) {
+            this.set(key, localValue);
+            return localValue;
+        }
+        return defaultValue;
+    },
+
+    set(key, value) {
+        try {
+            if (!this.isGlobal(key)) {
+                localStorage.setItem(key, JSON.stringify(value));
+            } else if (this.mode === 'gm') {
+                gmApi.setValueSync(key, value);
+            } else {
+                this.values[key] = value;
+                gmApi.setValue(key, value).catch(e => console.log(`AI Chat Styler: Failed to save ${key}`, e));
             }
-        };
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    describe() {
+        return this.mode === 'local'
+            ? 'This site only (no GM storage grants)'
+            : `Shared across sites (${this.mode === 'gm' ? 'GM_*' : 'GM.*'} storage)`;
     }
+};
+
+// 🏗️ Site registry lookup
+const siteRegistry = {
+    BUILT_IN_KEYS: Object.keys(SITES),
+
+    // SHA-256 digests of repository files at the default channel, from the manifest
+    integrity: {},
+
+    // '*.' prefix = the domain itself or any subdomain, other '*' = a single label
+    globToRegExp(glob) {
+        const escape = part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]+');
+        const source = glob.startsWith('*.')
+            ? `(?:.+\\.)?${escape(glob.slice(2))}`
+            : escape(glob);
+        return new RegExp(`^${source}$`, 'i');
+    },
 
-    // Handle Twitter/X domains
-    if (hostname.includes('x.com') || hostname.includes('twitter.com')) {
+    matchesHost(pattern, hostname) {
+        const regex = pattern instanceof RegExp ? pattern : this.globToRegExp(pattern);
+        return regex.test(hostname);
+    },
+
+    // Custom sites live in GM storage when granted so every origin sees them
+    getCustomSiteDefs() {
+        return settingsStore.get(CONFIG.CUSTOM_SITES_KEY, []);
+    },
+
+    saveCustomSiteDefs(defs) {
+        if (!settingsStore.set(CONFIG.CUSTOM_SITES_KEY, defs)) {
+            console.log('AI Chat Styler: Failed to save custom sites');
+            return false;
+        }
+        return true;
+    },
+
+    // '/regex/' strings become RegExp host patterns, anything else is a glob
+    parseHostPattern(pattern) {
+        const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]) : pattern;
+    },
+
+    toCustomEntry(def) {
+        const slug = def.pattern.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
         return {
-            name: 'Twitter/X',
-            styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/twitter%20style.css',
-            fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/twitter%20style.css',
-            styleID: 'twitter-enhanced-styles',
-            needsReadyCheck: true,
-            readySelector: 'body, [data-testid="primaryColumn"], [role="main"], [data-testid="AppTabBar_Home_Link"]',
-            aggressiveReapply: true,
-            isTwitter: true,
-            pageSelectors: {
-                'home': '[data-testid="primaryColumn"]',
-                'explore': '[data-testid="Explore"]',
-                'notifications': '[data-testid="Notifications"]',
-                'messages': '[data-testid="DMDrawer"]',
-                'profile': '[data-testid="primaryColumn"] [data-testid="UserProfileHeader_Items"]',
-                'search': '[data-testid="searchFilters"]',
-                'lists': '[data-testid="lists"]'
-            }
+            hosts: [this.parseHostPattern(def.pattern)],
+            name: def.name || def.pattern,
+            styleURL: def.styleURL || null,
+            inlineCSS: def.inlineCSS || null,
+            styleID: `custom-${slug}-styles`,
+            needsReadyCheck: !!def.readySelector,
+            readySelector: def.readySelector || 'body',
+            aggressiveReapply: def.reapplyMode === 'aggressive',
+            allowFrames: !!def.allowFrames,
+            isCustom: true
         };
-    }
+    },
 
-    // Handle Stack Overflow domains
-    if (hostname.includes('stackoverflow.')) {
-        return {
-            name: 'Stack Overflow',
-            styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/Stack%20Overflow%20style.css',
-            fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/Stack%20Overflow%20style.css',
-            styleID: 'stackoverflow-enhanced-styles',
-            needsReadyCheck: true,
-            readySelector: 'body, #content, .container, .s-topbar, .js-search-input',
-            aggressiveReapply: true,
-            isStackOverflow: true,
-            pageSelectors: {
-                'questions': '#questions',
-                'question': '.question',
-                'answers': '#answers',
-                'ask': '.ask-page',
-                'users': '.user-page',
-                'tags': '.tags-page',
-                'jobs': '.jobs-page',
-                'search': '.search-results'
+    // Custom sites are registered after the built-ins, so on equal priority a built-in entry wins
+    loadCustomSites() {
+        this.getCustomSiteDefs().forEach(def => {
+            try {
+                SITES[`custom:${def.pattern}`] = this.toCustomEntry(def);
+            } catch (e) {
+                console.log(`AI Chat Styler: Skipping invalid custom site ${def.pattern}`, e);
             }
+        });
+    },
+
+    addCustomSite(def) {
+        const entry = this.toCustomEntry(def);
+        const defs = this.getCustomSiteDefs().filter(existing => existing.pattern !== def.pattern);
+        defs.push(def);
+        if (!this.saveCustomSiteDefs(defs)) return null;
+
+        SITES[`custom:${def.pattern}`] = entry;
+        return entry;
+    },
+
+    removeCustomSite(key) {
+        const pattern = key.replace(/^custom:/, '');
+        const defs = this.getCustomSiteDefs().filter(def => def.pattern !== pattern);
+        if (!this.saveCustomSiteDefs(defs)) return false;
+
+        delete SITES[key];
+        return true;
+    },
+
+    // Field types a manifest entry may set; anything else fails validation
+    MANIFEST_FIELDS: {
+        hosts: 'hosts',
+        priority: 'number',
+        name: 'name',
+        styleURL: 'url',
+        fallbackURL: 'url',
+        styleID: 'id',
+        needsReadyCheck: 'boolean',
+        readySelector: 'string',
+        aggressiveReapply: 'boolean',
+        enabledByDefault: 'boolean',
+        pageSelectors: 'selectors',
+        pageStyleURLs: 'urls',
+        pathStyles: 'pathStyles',
+        useSharedBase: 'boolean',
+        allowFrames: 'boolean',
+        searchSelectors: 'strings',
+        templateDefaults: 'values'
+    },
+
+    // Template values go straight into the sheet, so nothing that could close the declaration or the rule.
+    // Lives here rather than in templateManager because the cached manifest is validated before that exists
+    isValidTemplateValue(value) {
+        return !/[{};<>\\]|\/\*/.test(value);
+    },
+
+    // Returns a list of problems, empty when the manifest is usable
+    validateManifest(manifest) {
+        const errors = [];
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+        const checks = {
+            hosts: value => isStringList(value) && value.length > 0,
+            number: value => typeof value === 'number' && isFinite(value),
+            string: value => typeof value === 'string' && value.length > 0,
+            // Plain display text: no markup characters, short enough for the panel
+            name: value => typeof value === 'string' && /^[^<>&"'`]{1,60}$/.test(value),
+            url: value => typeof value === 'string' && /^https:\/\//.test(value),
+            id: value => typeof value === 'string' && /^[a-z0-9-]+$/.test(value),
+            boolean: value => typeof value === 'boolean',
+            selectors: value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(selector => typeof selector === 'string' && selector),
+            strings: isStringList,
+            values: value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(item => typeof item === 'string' && this.isValidTemplateValue(item)),
+            urls: value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(url => typeof url === 'string' && /^https:\/\//.test(url)),
+            pathStyles: value => Array.isArray(value) && value.every(layer => !!layer &&
+                typeof layer.path === 'string' && layer.path.startsWith('/') &&
+                typeof layer.styleURL === 'string' && /^https:\/\//.test(layer.styleURL))
         };
+
+        if (!manifest || typeof manifest !== 'object') {
+            return ['Manifest is not an object'];
+        }
+        if (manifest.version !== CONFIG.MANIFEST_SCHEMA_VERSION) {
+            errors.push(`Unsupported manifest version ${manifest.version}`);
+        }
+        if (!manifest.sites || typeof manifest.sites !== 'object' || Array.isArray(manifest.sites)) {
+            errors.push('Manifest "sites" must be an object');
+            return errors;
+        }
+        if (manifest.integrity !== undefined && !(manifest.integrity && typeof manifest.integrity === 'object' &&
+            Object.values(manifest.integrity).every(hash => typeof hash === 'string' && /^[a-f0-9]{64}$/.test(hash)))) {
+            errors.push('Manifest "integrity" must map file paths to SHA-256 hex digests');
+        }
+
+        Object.entries(manifest.sites).forEach(([key, entry]) => {
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${key}: entry is not an object`);
+                return;
+            }
+
+            Object.entries(entry).forEach(([field, value]) => {
+                const type = this.MANIFEST_FIELDS[field];
+                if (!type) {
+                    errors.push(`${key}.${field}: unknown field`);
+                } else if (!checks[type](value)) {
+                    errors.push(`${key}.${field}: expected ${type}`);
+                }
+            });
+
+            if (!this.BUILT_IN_KEYS.includes(key)) {
+                ['hosts', 'name', 'styleURL', 'styleID'].forEach(field => {
+                    if (entry[field] === undefined) {
+                        errors.push(`${key}: new sites need "${field}"`);
+                    }
+                });
+            }
+
+            if (Array.isArray(entry.hosts)) {
+                entry.hosts.forEach(pattern => {
+                    try {
+                        this.parseHostPattern(pattern);
+                    } catch (e) {
+                        errors.push(`${key}.hosts: invalid pattern ${pattern}`);
+                    }
+                });
+            }
+        });
+
+        return errors;
+    },
+
+    // Manifest entries are shallow-merged over the built-in entry with the same key
+    applyManifest(manifest) {
+        this.integrity = manifest.integrity || {};
+
+        Object.entries(manifest.sites).forEach(([key, entry]) => {
+            const merged = { ...SITES[key], ...entry };
+            if (entry.hosts) {
+                merged.hosts = entry.hosts.map(pattern => this.parseHostPattern(pattern));
+            }
+            SITES[key] = merged;
+        });
+    },
+
+    // Only the cached manifest is applied at startup, manifestLoader refreshes it for the next load
+    loadCachedManifest() {
+        try {
+            const cacheData = settingsStore.get(CONFIG.MANIFEST_CACHE_KEY, null);
+            if (!cacheData) return;
+
+            const errors = this.validateManifest(cacheData.manifest);
+            if (errors.length > 0) {
+                console.log('AI Chat Styler: Cached manifest is invalid, using built-in sites', errors);
+                return;
+            }
+
+            this.applyManifest(cacheData.manifest);
+        } catch (e) {
+            console.log('AI Chat Styler: Failed to load cached manifest, using built-in sites', e);
+        }
+    },
+
+    resolve(hostname = window.location.hostname, pathname = window.location.pathname) {
+        const matches = Object.entries(SITES)
+            .filter(([, site]) => site.hosts.some(pattern => this.matchesHost(pattern, hostname)))
+            .filter(([, site]) => !site.when || site.when(hostname, pathname))
+            .sort(([, a], [, b]) => (b.priority || 0) - (a.priority || 0));
+
+        if (matches.length === 0) return null;
+
+        const [key, site] = matches[0];
+        return { key, ...site };
+    },
+
+    // At document-start a DOM-reading `when` fails for lack of a DOM; true when such a site could still outrank the result
+    awaitsDOM(resolved, hostname = window.location.hostname, pathname = window.location.pathname) {
+        if (document.readyState !== 'loading') return false;
+
+        return Object.values(SITES).some(site => site.whenNeedsDOM &&
+            site.hosts.some(pattern => this.matchesHost(pattern, hostname)) &&
+            !site.when(hostname, pathname) &&
+            (!resolved || (site.priority || 0) > (resolved.priority || 0)));
     }
+};
 
-    // 🆕 Handle all Wikipedia subdomains (en.wikipedia.org, fr.wikipedia.org, etc.)
-    if (hostname.endsWith('wikipedia.org')) {
-        return {
-            name: 'Wikipedia',
-            styleURL: 'https://cdn.jsdelivr.net/gh/yfjuu4/ai-chat-styles@main/wikipedia%20style.css',
-            fallbackURL: 'https://raw.githubusercontent.com/yfjuu4/ai-chat-styles/main/wikipedia%20style.css',
-            styleID: 'wikipedia-enhanced-styles',
-            needsReadyCheck: false,
-            readySelector: 'body',
-            aggressiveReapply: false
-        };
+// ⚡ Early CSS - the layers applied on this origin last time, injected synchronously at document-start.
+// GM.* reads and IndexedDB span macrotasks, which would let the unstyled page paint first.
+// Kept in synchronous GM storage when the manager has it, page localStorage (and its quota) only without
+const earlyCSS = {
+    site: null,
+
+    usesGM() {
+        return gmApi.storageMode() === 'gm';
+    },
+
+    getGMKey() {
+        return `${CONFIG.EARLY_CSS_KEY}:${window.location.hostname}`;
+    },
+
+    read() {
+        try {
+            return this.usesGM()
+                ? gmApi.getValueSync(this.getGMKey(), null)
+                : JSON.parse(localStorage.getItem(CONFIG.EARLY_CSS_KEY));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    inject() {
+        const copy = this.read();
+        if (!copy || !Array.isArray(copy.layers)) return;
+
+        this.site = copy.site;
+        copy.layers.forEach(({ id, name, css }) => {
+            if (document.getElementById(id)) return;
+
+            const style = document.createElement('style');
+            style.id = id;
+            style.dataset.stylerLayer = name;
+            style.textContent = css;
+            (document.head || document.documentElement).appendChild(style);
+        });
+    },
+
+    // Still on the page and active, null once the page or a CSP got rid of it
+    find(id) {
+        const element = document.getElementById(id);
+        return element && element.tagName === 'STYLE' && element.sheet ? element : null;
+    },
+
+    save(siteKey, layers) {
+        try {
+            if (this.usesGM()) {
+                gmApi.setValueSync(this.getGMKey(), { site: siteKey, layers });
+            } else {
+                localStorage.setItem(CONFIG.EARLY_CSS_KEY, JSON.stringify({ site: siteKey, layers }));
+            }
+        } catch (e) {
+            // Over quota: the next load goes through the stylesheet cache instead
+        }
+    },
+
+    clear() {
+        try {
+            if (this.usesGM()) {
+                if (gmApi.has('deleteValue')) gmApi.deleteValue(this.getGMKey()).catch(() => {});
+                else gmApi.setValueSync(this.getGMKey(), null);
+            } else {
+                localStorage.removeItem(CONFIG.EARLY_CSS_KEY);
+            }
+        } catch (e) {
+            // Site storage blocked, nothing was saved
+        }
+    },
+
+    // Injected for a site that didn't resolve here, or that is switched off
+    discard() {
+        document.querySelectorAll('style[data-styler-layer]').forEach(element => element.remove());
+        this.site = null;
     }
+};
 
-    return null;
+// Frames are only styled for sites with allowFrames, which isn't known yet, so the early copy stays out of them
+const inFrame = window.self !== window.top;
+if (!inFrame) earlyCSS.inject();
+
+await settingsStore.preload([CONFIG.CUSTOM_SITES_KEY, CONFIG.MANIFEST_CACHE_KEY]);
+siteRegistry.loadCachedManifest();
+siteRegistry.loadCustomSites();
+let currentSite = siteRegistry.resolve();
+if (siteRegistry.awaitsDOM(currentSite)) {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    currentSite = siteRegistry.resolve();
 }
 
-const currentSite = detectCurrentSite();
-
-if (!currentSite) {
-    console.log('AI Chat Styler: No configuration found for this page');
+if (!currentSite || (inFrame && !currentSite.allowFrames)) {
+    earlyCSS.discard();
+    if (!inFrame) console.log('AI Chat Styler: No configuration found for this page');
     return;
 }
+await settingsStore.preloadSite(currentSite.key);
 
 // 📊 State management
 const state = {
@@ -360,22 +890,35 @@ const state = {
     isLoading: false,
     hasGrants: false,
     isBerryBrowser: false,
+    canAdoptSheets: false,
     cssContent: null,
-    appliedMethod: null,
+    appliedLayers: {},
     lastApplyTime: 0,
     fetchAttempts: 0,
+    sanitizerReport: {},
+    cacheError: null,
     enabled: true
 };
 
-// 🔍 Browser detection
+// 🔍 Capability detection
+// Berry mode (fallback fetch strategies, longer delays) follows from missing cross-origin requests
+// rather than the user agent, unless forced either way in settings
 (function detectCapabilities() {
-    state.hasGrants = typeof GM_xmlhttpRequest !== 'undefined';
+    state.hasGrants = gmApi.has('xmlHttpRequest');
+
+    const compatMode = settingsStore.get(CONFIG.COMPAT_MODE_KEY, 'auto');
+    state.isBerryBrowser = compatMode === 'auto' ? !state.hasGrants : compatMode === 'berry';
 
-    const userAgent = navigator.userAgent.toLowerCase();
-    state.isBerryBrowser = !state.hasGrants && /android/.test(userAgent);
+    // Constructable stylesheets: Chrome 73+, Firefox 101+, Safari 16.4+
+    try {
+        state.canAdoptSheets = 'adoptedStyleSheets' in Document.prototype &&
+            typeof new CSSStyleSheet().replaceSync === 'function';
+    } catch (e) {
+        state.canAdoptSheets = false;
+    }
 
     if (state.isBerryBrowser) {
-        console.log('🍓 Berry Browser detected - using fallback methods');
+        console.log(`🍓 Berry mode (${compatMode === 'auto' ? 'no GM_xmlhttpRequest' : 'forced in settings'}) - using fallback methods`);
         CONFIG.DEBUG_MODE = true;
     }
 })();
@@ -397,7 +940,8 @@ const utils = {
             'github': '🐙',
             'facebook': '👤',
             'twitter': '🐦',
-            'stackoverflow': '💻'
+            'stackoverflow': '💻',
+            'config': '⚙️'
         }[level] || 'ℹ️';
 
         const prefix = state.isBerryBrowser ? `${emoji}🍓` : emoji;
@@ -410,7 +954,96 @@ const utils = {
         if (state.site.isTwitter) siteIcon = '🐦';
         if (state.site.isStackOverflow) siteIcon = '💻';
 
-        console.log(`${prefix}${siteIcon} [${currentSite.name}] ${message}`);
+        console.log(`${prefix}${siteIcon} [${state.site.name}] ${message}`);
+    },
+
+    // Per-site settings, keyed by SITES key
+    getSiteSettings() {
+        return this.getValue(CONFIG.SITE_SETTINGS_KEY, {});
+    },
+
+    saveSiteSettings(settings) {
+        if (!this.setValue(CONFIG.SITE_SETTINGS_KEY, settings)) {
+            this.log('Failed to save site settings', 'error');
+            return false;
+        }
+        return true;
+    },
+
+    // Get enabled state for current site
+    getSiteEnabledState() {
+        const settings = this.getSiteSettings();
+
+        if (settings[state.site.key] !== undefined) {
+            this.log(`Using saved setting: ${settings[state.site.key] ? 'ENABLED' : 'DISABLED'}`, 'config');
+            return settings[state.site.key];
+        }
+
+        const defaultState = state.site.enabledByDefault !== false;
+        this.log(`Using default setting: ${defaultState ? 'ENABLED' : 'DISABLED'}`, 'config');
+        return defaultState;
+    },
+
+    // Save enabled state for current site
+    saveSiteEnabledState(isEnabled) {
+        const settings = this.getSiteSettings();
+        settings[state.site.key] = isEnabled;
+        this.saveSiteSettings(settings);
+        this.log(`Saved site setting: ${isEnabled ? 'ENABLED' : 'DISABLED'}`, 'config');
+    },
+
+    // Get all site settings (for settings panel and debug info)
+    getAllSiteSettings() {
+        const settings = this.getSiteSettings();
+        const result = {};
+
+        Object.keys(SITES).forEach(key => {
+            result[key] = settings[key] !== undefined
+                ? settings[key]
+                : SITES[key].enabledByDefault !== false;
+        });
+
+        return result;
+    },
+
+    // Reset all site settings to defaults
+    resetAllSiteSettings() {
+        const defaultSettings = {};
+        Object.keys(SITES).forEach(key => {
+            defaultSettings[key] = SITES[key].enabledByDefault !== false;
+        });
+        this.saveSiteSettings(defaultSettings);
+        this.log('All site settings reset to defaults', 'success');
+        return defaultSettings;
+    },
+
+    getButtonVisibility() {
+        return this.getValue(CONFIG.BUTTON_VISIBILITY_KEY, CONFIG.BUTTON_VISIBLE_BY_DEFAULT);
+    },
+
+    saveButtonVisibility(isVisible) {
+        return this.setValue(CONFIG.BUTTON_VISIBILITY_KEY, isVisible);
+    },
+
+    // Layer switches, keyed by SITES key then layer name
+    isLayerEnabled(name) {
+        const layerSettings = this.getValue(CONFIG.LAYER_SETTINGS_KEY, {});
+        const siteLayers = layerSettings[state.site.key] || {};
+        return siteLayers[name] !== false;
+    },
+
+    saveLayerEnabled(name, isEnabled) {
+        const layerSettings = this.getValue(CONFIG.LAYER_SETTINGS_KEY, {});
+        layerSettings[state.site.key] = { ...layerSettings[state.site.key], [name]: isEnabled };
+        return this.setValue(CONFIG.LAYER_SETTINGS_KEY, layerSettings);
+    },
+
+    getUserCSS() {
+        return this.getValue(CONFIG.USER_CSS_KEY_PREFIX + state.site.key, '');
+    },
+
+    saveUserCSS(css) {
+        return this.setValue(CONFIG.USER_CSS_KEY_PREFIX + state.site.key, css);
     },
 
     throttle(func, delay) {
@@ -436,62 +1069,88 @@ const utils = {
         };
     },
 
-    getValue(key, defaultValue) {
+    // fetch() that gives up after timeout ms instead of hanging the whole apply
+    async fetchWithTimeout(url, options = {}, timeout = CONFIG.FETCH_TIMEOUT) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
         try {
-            const item = localStorage.getItem(key);
-            return item !== null ? JSON.parse(item) : defaultValue;
-        } catch (e) {
-            return defaultValue;
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`Timed out after ${timeout}ms`) : error;
+        } finally {
+            clearTimeout(timeoutId);
         }
     },
 
+    // Exponential backoff with equal jitter: half the delay is fixed, the other half random
+    getRetryDelay(attempt) {
+        if (navigator.onLine === false) return CONFIG.OFFLINE_RETRY_DELAY;
+
+        const delay = Math.min(CONFIG.MAX_RETRY_DELAY, CONFIG.RETRY_DELAY * 2 ** (attempt - 1));
+        return delay / 2 + Math.random() * delay / 2;
+    },
+
+    // Resolves after the backoff delay, or as soon as the browser comes back online
+    waitForRetry(attempt) {
+        const delay = this.getRetryDelay(attempt);
+        utils.log(`Retrying in ${Math.round(delay)}ms${navigator.onLine === false ? ' (offline)' : ''}`, 'debug');
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timeoutId);
+                window.removeEventListener('online', done);
+                resolve();
+            };
+            const timeoutId = setTimeout(done, delay);
+            window.addEventListener('online', done);
+        });
+    },
+
+    getValue(key, defaultValue) {
+        return settingsStore.get(key, defaultValue);
+    },
+
     setValue(key, value) {
-        try {
-            localStorage.setItem(key, JSON.stringify(value));
-            return true;
-        } catch (e) {
-            return false;
-        }
+        return settingsStore.set(key, value);
     },
 
-    getCachedCSS() {
-        const cacheKey = CONFIG.CACHE_KEY_PREFIX + state.site.name;
-        const cacheData = this.getValue(cacheKey, null);
+    // Returns the cached entry whatever its age; callers decide whether it needs revalidating
+    async getCacheEntry(name = state.site.name, styleURL = state.site.styleURL) {
+        const cacheData = await cacheStore.get(name);
 
         if (!cacheData) return null;
 
-        const { css, timestamp, url } = cacheData;
-        const now = Date.now();
-
-        if (url !== state.site.styleURL) {
+        if (cacheData.url !== styleURL) {
             this.log('CSS URL changed, invalidating cache', 'debug');
             return null;
         }
 
-        if (now - timestamp > CONFIG.CACHE_DURATION) {
-            this.log('Cache expired', 'debug');
-            return null;
-        }
+        this.log(`Using cached CSS (${Math.round((Date.now() - cacheData.timestamp)/60000)}min old)`, 'debug');
+        return cacheData;
+    },
 
-        this.log(`Using cached CSS (${Math.round((now - timestamp)/60000)}min old)`, 'debug');
-        return css;
+    isCacheStale(cacheData) {
+        return Date.now() - cacheData.timestamp > CONFIG.CACHE_DURATION;
     },
 
-    setCachedCSS(css) {
-        const cacheKey = CONFIG.CACHE_KEY_PREFIX + state.site.name;
+    // validators carries the response's etag / lastModified for conditional revalidation
+    async setCachedCSS(css, name = state.site.name, styleURL = state.site.styleURL, validators = {}) {
         const cacheData = {
             css: css,
             timestamp: Date.now(),
-            url: state.site.styleURL
+            url: styleURL,
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null
         };
-        return this.setValue(cacheKey, cacheData);
+        return cacheStore.set(name, cacheData);
     },
 
-    clearCache() {
-        const keys = Object.keys(localStorage).filter(k => k.startsWith(CONFIG.CACHE_KEY_PREFIX));
-        keys.forEach(k => localStorage.removeItem(k));
-        this.log(`Cleared ${keys.length} cache entries`, 'success');
-        return keys.length;
+    async clearCache() {
+        earlyCSS.clear();
+        const count = await cacheStore.clear();
+        this.log(`Cleared ${count} cache entries`, 'success');
+        return count;
     },
 
     async waitForElement(selector, timeout = 10000) {
@@ -742,578 +1401,4384 @@ const utils = {
     }
 };
 
-// 📥 CSS loader optimized for Berry Browser
-const cssLoader = {
-    async fetchExternalCSS() {
-        state.fetchAttempts++;
-
-        const cachedCSS = utils.getCachedCSS();
-        if (cachedCSS) {
-            state.cssContent = cachedCSS;
-            return cachedCSS;
+// 🗄️ Cache store - stylesheet cache with size accounting and LRU eviction
+// GM storage when granted, IndexedDB otherwise, page localStorage only as a last resort
+const cacheStore = {
+    backend: null,
+    index: null,
+    ready: null,
+
+    backends: {
+        gm: {
+            name: 'GM storage',
+            get(key) { return gmApi.getValue(key, null); },
+            set(key, value) { return gmApi.setValue(key, value); },
+            delete(key) { return gmApi.deleteValue(key); },
+            keys() { return gmApi.listValues(); }
+        },
+
+        indexedDB: {
+            name: 'IndexedDB',
+            db: null,
+
+            open() {
+                return new Promise((resolve, reject) => {
+                    const request = indexedDB.open(CONFIG.CACHE_DB_NAME, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore('entries');
+                    request.onsuccess = () => {
+                        this.db = request.result;
+                        resolve();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            },
+
+            request(mode, operation) {
+                return new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction('entries', mode);
+                    const request = operation(transaction.objectStore('entries'));
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = transaction.onabort = () => reject(transaction.error || request.error);
+                });
+            },
+
+            async get(key) { return (await this.request('readonly', store => store.get(key))) || null; },
+            async set(key, value) { await this.request('readwrite', store => store.put(value, key)); },
+            async delete(key) { await this.request('readwrite', store => store.delete(key)); },
+            async keys() { return (await this.request('readonly', store => store.getAllKeys())).map(String); }
+        },
+
+        localStorage: {
+            name: 'localStorage',
+            async get(key) {
+                const stored = localStorage.getItem(key);
+                return stored ? JSON.parse(stored) : null;
+            },
+            async set(key, value) { localStorage.setItem(key, JSON.stringify(value)); },
+            async delete(key) { localStorage.removeItem(key); },
+            async keys() { return Object.keys(localStorage); }
         }
+    },
 
-        utils.log(`Fetch attempt #${state.fetchAttempts}`, 'info');
-        utils.log(`Primary URL: ${state.site.styleURL}`, 'debug');
+    init() {
+        if (!this.ready) {
+            // A cache that can't be opened only costs speed: fetches still go through, uncached
+            this.ready = this.selectBackend().then(async () => {
+                this.index = (await this.backend.get(CONFIG.CACHE_INDEX_KEY)) || {};
+                await this.migrateLegacy();
+                await this.reconcile();
+            }).catch(error => {
+                this.index = this.index || {};
+                this.reportError(`Could not open the cache: ${error.message}`);
+            });
+        }
+        return this.ready;
+    },
 
-        if (state.hasGrants) {
+    async selectBackend() {
+        if (settingsStore.mode !== 'local' && gmApi.has('deleteValue')) {
+            this.backend = this.backends.gm;
+        } else {
             try {
-                const css = await this.fetchViaGM();
-                utils.setCachedCSS(css);
-                state.cssContent = css;
-                return css;
+                if (typeof indexedDB === 'undefined') throw new Error('not supported');
+                await this.backends.indexedDB.open();
+                this.backend = this.backends.indexedDB;
             } catch (error) {
-                utils.log(`GM fetch failed: ${error.message}`, 'error');
+                utils.log(`IndexedDB unavailable (${error.message}), caching in localStorage`, 'warning');
+                this.backend = this.backends.localStorage;
             }
         }
+        utils.log(`Stylesheet cache: ${this.backend.name}`, 'debug');
+    },
+
+    // Entries written to page localStorage by older versions move into the new store once
+    async migrateLegacy() {
+        let legacyKeys;
+        try {
+            legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(CONFIG.CACHE_KEY_PREFIX));
+        } catch (e) {
+            // Site storage blocked, so there is nothing to migrate either
+            return;
+        }
+        const isLocal = this.backend === this.backends.localStorage;
+
+        for (const key of legacyKeys) {
+            const name = key.slice(CONFIG.CACHE_KEY_PREFIX.length);
+            if (isLocal) {
+                if (!this.index[name]) this.index[name] = { size: this.sizeOf(localStorage.getItem(key)), lastAccess: 0 };
+                continue;
+            }
 
-        if (state.isBerryBrowser) {
             try {
-                const css = await this.fetchForBerryBrowser();
-                if (css) {
-                    utils.setCachedCSS(css);
-                    state.cssContent = css;
-                    return css;
-                }
-            } catch (berryError) {
-                utils.log(`Berry fetch failed: ${berryError.message}`, 'error');
+                const cacheData = JSON.parse(localStorage.getItem(key));
+                if (cacheData && !this.index[name]) await this.write(name, cacheData);
+            } catch (e) {
+                // Unreadable legacy entry, just drop it
             }
+            localStorage.removeItem(key);
         }
+    },
+
+    sizeOf(value) {
+        return new Blob([typeof value === 'string' ? value : JSON.stringify(value)]).size;
+    },
+
+    getTotalSize(skipped = new Set()) {
+        return Object.entries(this.index)
+            .filter(([name]) => !skipped.has(name))
+            .reduce((total, [, entry]) => total + entry.size, 0);
+    },
 
+    // The index is shared by every open tab, so each change is applied to the stored copy, never over it
+    async updateIndex(change) {
+        const stored = (await this.backend.get(CONFIG.CACHE_INDEX_KEY)) || {};
+        change(stored);
+        this.index = stored;
+        await this.backend.set(CONFIG.CACHE_INDEX_KEY, stored);
+    },
+
+    // Names of the entries actually in storage, or null when the backend can't list them
+    async listEntries() {
+        const keys = await this.backend.keys();
+        if (!keys) return null;
+        return keys.filter(key => key.startsWith(CONFIG.CACHE_KEY_PREFIX)).map(key => key.slice(CONFIG.CACHE_KEY_PREFIX.length));
+    },
+
+    // Entries another tab wrote without indexing are picked up (oldest first), index rows without data are dropped
+    async reconcile() {
+        let names;
         try {
-            const css = await this.fetchDirect();
-            utils.setCachedCSS(css);
-            state.cssContent = css;
-            return css;
-        } catch (directError) {
-            utils.log(`Direct fetch failed: ${directError.message}`, 'debug');
-    
+            names = await this.listEntries();
+        } catch (error) {
+            utils.log(`Could not list cache entries: ${error.message}`, 'warning');
+        }
+        if (!names) return;
+
+        const sizes = {};
+        for (const name of names) {
+            if (this.index[name]) continue;
             try {
-                const css = await this.fetchViaCORSProxy();
-                utils.setCachedCSS(css);
-                state.cssContent = css;
-                return css;
-            } catch (proxyError) {
-                utils.log(`All fetch methods failed`, 'error');
-                throw new Error(`Could not fetch CSS from any source`);
+                const cacheData = await this.backend.get(CONFIG.CACHE_KEY_PREFIX + name);
+                if (cacheData) sizes[name] = this.sizeOf(cacheData);
+            } catch (e) {
+                // Unreadable entry, counted once it is rewritten
             }
         }
-    },
 
-    fetchViaGM() {
-        return new Promise((resolve, reject) => {
-            GM_xmlhttpRequest({
-                method: 'GET',
-                url: state.site.styleURL,
-                timeout: 15000,
-                headers: {
-                    'Accept': 'text/css,*/*',
-                    'Cache-Control': 'no-cache'
-                },
-                onload: (response) => {
-                    if (response.status >= 200 && response.status < 300) {
-                        const css = response.responseText;
-                        if (css && css.trim().length > 0) {
-                            utils.log(`Fetched ${css.length} chars via GM`, 'success');
-                            resolve(css);
-                        } else {
-                            reject(new Error('Empty response'));
-                        }
-                    } else {
-                        reject(new Error(`HTTP ${response.status}`));
-                    }
-                },
-                onerror: () => reject(new Error('Network error')),
-                ontimeout: () => reject(new Error('Request timeout'))
+        await this.updateIndex(index => {
+            Object.keys(index).filter(name => !names.includes(name)).forEach(name => delete index[name]);
+            Object.entries(sizes).forEach(([name, size]) => {
+                if (!index[name]) index[name] = { size, lastAccess: 0 };
             });
         });
     },
 
-    async fetchDirect() {
-        utils.log('Trying direct fetch...', 'debug');
+    async get(name) {
+        await this.init();
 
-        const response = await fetch(state.site.styleURL, {
-            method: 'GET',
-            headers: { 'Accept': 'text/css,*/*' },
-            mode: 'cors',
-            cache: 'no-store'
-        });
+        let cacheData;
+        try {
+            cacheData = await this.backend.get(CONFIG.CACHE_KEY_PREFIX + name);
+        } catch (error) {
+            utils.log(`Cache read failed for ${name}: ${error.message}`, 'error');
+            return null;
+        }
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        if (cacheData) {
+            const now = Date.now();
+            this.updateIndex(index => {
+                index[name] = { size: index[name] ? index[name].size : this.sizeOf(cacheData), lastAccess: now };
+            }).catch(() => {});
         }
+        return cacheData;
+    },
 
-        const css = await response.text();
+    async set(name, cacheData) {
+        await this.init();
+        return this.write(name, cacheData);
+    },
 
-        if (!css || css.trim().length === 0) {
-            throw new Error('Empty CSS response');
+    // Never throws: a failed write is reported and the caller carries on with the CSS it has
+    async write(name, cacheData) {
+        try {
+            return await this.writeEntry(name, cacheData);
+        } catch (error) {
+            this.reportError(`Could not cache ${name}: ${error.message}`);
+            return false;
         }
-
-        utils.log(`Fetched ${css.length} chars directly`, 'success');
-        return css;
     },
 
-    async fetchForBerryBrowser() {
-        utils.log('Berry: Starting optimized fetch...', 'berry');
+    async writeEntry(name, cacheData) {
+        const size = this.sizeOf(cacheData);
+        if (size > CONFIG.CACHE_MAX_BYTES) {
+            this.reportError(`${name} (${Math.round(size / 1024)} KB) is larger than the whole cache`);
+            return false;
+        }
 
-        const strategies = [
-            { url: state.site.styleURL, mode: 'no-cors', desc: 'jsDelivr no-cors' },
-            { url: state.site.styleURL, mode: 'cors', desc: 'jsDelivr cors' },
-            { url: state.site.fallbackURL, mode: 'no-cors', desc: 'GitHub no-cors' },
-            { url: state.site.fallbackURL, mode: 'cors', desc: 'GitHub cors' }
-        ];
+        // Other tabs may have written since this one last looked
+        await this.reconcile();
 
-        for (const strategy of strategies) {
-            if (!strategy.url) continue;
-    
-            utils.log(`Berry: Trying ${strategy.desc}...`, 'debug');
-    
+        const skipped = new Set([name]);
+        while (this.getTotalSize(skipped) + size > CONFIG.CACHE_MAX_BYTES && await this.evictOldest(skipped)) {
+            // keep evicting until the new entry fits
+        }
+
+        // A quota error evicts the least recently used entry and tries again
+        for (;;) {
             try {
-                const response = await fetch(strategy.url, {
-                    method: 'GET',
-                    mode: strategy.mode,
-                    cache: 'no-store'
+                await this.backend.set(CONFIG.CACHE_KEY_PREFIX + name, cacheData);
+                await this.updateIndex(index => {
+                    index[name] = { size, lastAccess: Date.now() };
                 });
-        
-                const css = await response.text();
-        
-                if (css && css.trim().length > 10) {
-                    utils.log(`Berry (${strategy.desc}): Got ${css.length} chars`, 'success');
-                    return css;
-                }
+                return true;
             } catch (error) {
-                utils.log(`Berry (${strategy.desc}) failed: ${error.message}`, 'debug');
-                continue;
+                if (!await this.evictOldest(skipped)) {
+                    this.reportError(`Could not cache ${name}: ${error.message}`);
+                    return false;
+                }
             }
         }
+    },
 
-        throw new Error('All Berry strategies failed');
+    async discard(name) {
+        await this.backend.delete(CONFIG.CACHE_KEY_PREFIX + name);
+        await this.updateIndex(index => {
+            delete index[name];
+        });
     },
 
-    async fetchViaCORSProxy() {
-        const proxies = [
-            `https://api.allorigins.win/raw?url=${encodeURIComponent(state.site.styleURL)}`,
-            `https://corsproxy.io/?${encodeURIComponent(state.site.styleURL)}`,
-            `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(state.site.styleURL)}`
-        ];
+    // An entry that can't be removed is skipped (and no longer counted) so the write can still go ahead
+    async evictOldest(skipped) {
+        const oldest = Object.entries(this.index)
+            .filter(([name]) => !skipped.has(name))
+            .sort(([, a], [, b]) => a.lastAccess - b.lastAccess)[0];
+        if (!oldest) return false;
 
-        for (let i = 0; i < proxies.length; i++) {
-            const proxyUrl = proxies[i];
-            try {
-                utils.log(`Trying proxy ${i + 1}/${proxies.length}`, 'debug');
-        
-                const response = await fetch(proxyUrl, {
-                    method: 'GET',
-                    headers: { 'Accept': 'text/css,*/*' },
-                    cache: 'no-store'
-                });
-        
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}`);
-                }
-        
-                const css = await response.text();
-        
-                if (css && css.trim().length > 0) {
-                    utils.log(`Fetched ${css.length} chars via proxy`, 'success');
-                    return css;
-                }
-            } catch (error) {
-                utils.log(`Proxy ${i + 1} failed: ${error.message}`, 'debug');
-                if (i === proxies.length - 1) {
-                    throw error;
-                }
-                continue;
-            }
+        utils.log(`Evicting ${oldest[0]} from cache (${Math.round(oldest[1].size / 1024)} KB)`, 'debug');
+        try {
+            await this.discard(oldest[0]);
+        } catch (error) {
+            utils.log(`Could not evict ${oldest[0]}: ${error.message}`, 'warning');
+            skipped.add(oldest[0]);
         }
+        return true;
+    },
 
-        throw new Error('All proxies failed');
-    }
-};
+    async clear() {
+        await this.init();
 
-// 🎨 Style manager
-const styleManager = {
-    async apply() {
-        if (!state.enabled || state.isLoading) {
-            return false;
+        let names = null;
+        try {
+            names = await this.listEntries();
+        } catch (error) {
+            utils.log(`Could not list cache entries: ${error.message}`, 'warning');
         }
+        names = [...new Set([...(names || []), ...Object.keys(this.index)])];
 
-        const now = Date.now();
-        if (now - state.lastApplyTime < 500) {
-            utils.log('Throttling apply attempt', 'debug');
-            return false;
+        for (const name of names) {
+            await this.backend.delete(CONFIG.CACHE_KEY_PREFIX + name);
         }
-        state.lastApplyTime = now;
+        this.index = {};
+        await this.backend.set(CONFIG.CACHE_INDEX_KEY, this.index);
+        state.cacheError = null;
+        return names.length;
+    },
 
-        this.remove();
-        state.isLoading = true;
+    // Failed writes are surfaced once per page, the details stay in the debug info
+    reportError(message) {
+        utils.log(message, 'error');
+        if (!state.cacheError) {
+            uiManager.showToast(`⚠️ Stylesheet cache: ${message}`);
+        }
+        state.cacheError = message;
+    },
 
-        try {
-            await utils.waitForPageReady();
+    describe() {
+        if (!this.backend) return 'Not initialized';
 
-            if (!state.cssContent) {
-                utils.log('Fetching CSS...', 'info');
-                await cssLoader.fetchExternalCSS();
-            }
+        const entryCount = Object.keys(this.index).length;
+        return `${this.backend.name}, ${entryCount} entries, ${Math.round(this.getTotalSize() / 1024)} / ${Math.round(CONFIG.CACHE_MAX_BYTES / 1024)} KB` +
+            (state.cacheError ? `\nCache Error: ${state.cacheError}` : '');
+    }
+};
 
-            if (!state.cssContent || state.cssContent.trim().length === 0) {
-                throw new Error('No CSS content available');
-            }
+// 📌 Channel manager - pins a site's stylesheets to a branch, tag or commit
+const channelManager = {
+    getChannel() {
+        const channels = utils.getValue(CONFIG.CHANNEL_SETTINGS_KEY, {});
+        return channels[state.site.key] || CONFIG.DEFAULT_CHANNEL;
+    },
 
-            if (this.injectViaStyle()) {
-                state.appliedMethod = 'style-element';
-                utils.log('✅ Styles applied via style element', 'success');
-                state.isLoading = false;
-                return true;
-            }
-    
-            if (await this.injectViaBlob()) {
-                state.appliedMethod = 'blob-link';
-                utils.log('✅ Styles applied via blob link', 'success');
-                state.isLoading = false;
-                return true;
-            }
+    setChannel(channel) {
+        const channels = utils.getValue(CONFIG.CHANNEL_SETTINGS_KEY, {});
+        if (channel === CONFIG.DEFAULT_CHANNEL) {
+            delete channels[state.site.key];
+        } else {
+            channels[state.site.key] = channel;
+        }
+        return utils.setValue(CONFIG.CHANNEL_SETTINGS_KEY, channels);
+    },
 
-            throw new Error('All injection methods failed');
+    isValidChannel(channel) {
+        return /^[\w.-]+$/.test(channel);
+    },
 
-        } catch (error) {
-            utils.log(`Failed to apply styles: ${error.message}`, 'error');
-            state.isLoading = false;
-            return false;
-        }
+    // Rewrites the ref in jsDelivr (@ref) and raw.githubusercontent (/ref/ or /refs/heads/ref/) URLs;
+    // any other URL is returned unchanged
+    rewriteURL(url, channel) {
+        if (!url) return url;
+
+        const ref = channel === CONFIG.ROLLBACK_CHANNEL ? CONFIG.DEFAULT_CHANNEL : channel;
+
+        return url
+            .replace(/^(https:\/\/cdn\.jsdelivr\.net\/gh\/[^/]+\/[^/@]+)@[^/]+\//, `$1@${ref}/`)
+            .replace(/^(https:\/\/raw\.githubusercontent\.com\/[^/]+\/[^/]+\/)(?:refs\/heads\/)?[^/]+\//, `$1${ref}/`);
     },
 
-    async injectViaBlob() {
-        if (!document.head) return false;
+    // Points every stylesheet URL of the current site at the given channel
+    pinSite(channel = this.getChannel()) {
+        const site = state.site;
 
-        const blob = new Blob([state.cssContent], { type: 'text/css' });
-        const blobUrl = URL.createObjectURL(blob);
+        site.styleURL = this.rewriteURL(site.styleURL, channel);
+        site.fallbackURL = this.rewriteURL(site.fallbackURL, channel);
 
-        const link = document.createElement('link');
-        link.id = state.site.styleID;
-        link.rel = 'stylesheet';
-        link.type = 'text/css';
-        link.href = blobUrl;
+        if (site.pageStyleURLs) {
+            site.pageStyleURLs = Object.fromEntries(Object.entries(site.pageStyleURLs)
+                .map(([pageType, url]) => [pageType, this.rewriteURL(url, channel)]));
+        }
+        if (site.pathStyles) {
+            site.pathStyles = site.pathStyles.map(layer => ({ ...layer, styleURL: this.rewriteURL(layer.styleURL, channel) }));
+        }
+    },
 
-        return new Promise((resolve) => {
-            link.onload = () => {
-                state.styleElement = link;
-                resolve(true);
-            };
+    getSnapshot() {
+        return utils.getValue(CONFIG.SNAPSHOT_KEY_PREFIX + state.site.key, null);
+    },
 
-            link.onerror = () => {
-                link.remove();
-                URL.revokeObjectURL(blobUrl);
-                resolve(false);
-            };
+    // Keeps the last working site sheet so a bad push can be rolled back in one click
+    saveSnapshot(css, channel = this.getChannel()) {
+        if (!css || channel === CONFIG.ROLLBACK_CHANNEL) return false;
 
-            document.head.appendChild(link);
+        const snapshot = this.getSnapshot();
+        if (snapshot && snapshot.css === css) return true;
 
-            setTimeout(() => {
-                if (link.sheet) {
-                    state.styleElement = link;
-                    resolve(true);
-                } else {
-                    resolve(false);
-                }
-            }, 1000);
+        return utils.setValue(CONFIG.SNAPSHOT_KEY_PREFIX + state.site.key, {
+            css: css,
+            channel: channel,
+            savedAt: Date.now()
         });
     },
 
-    injectViaStyle() {
-        if (!document.head) return false;
+    async switchTo(channel) {
+        this.saveSnapshot(state.cssContent);
+        this.setChannel(channel);
+        this.pinSite(channel);
+        state.cssContent = null;
+        utils.log(`Switched to channel ${channel}`, 'config');
 
-        const style = document.createElement('style');
-        style.id = state.site.styleID;
-        style.type = 'text/css';
-        style.textContent = state.cssContent;
+        return this.reloadSiteLayer();
+    },
+
+    async rollback() {
+        const snapshot = this.getSnapshot();
+        if (!snapshot) return false;
+
+        this.setChannel(CONFIG.ROLLBACK_CHANNEL);
+        this.pinSite(CONFIG.ROLLBACK_CHANNEL);
+        state.cssContent = null;
+        utils.log(`Rolled back to ${snapshot.channel} snapshot`, 'config');
+
+        return this.reloadSiteLayer();
+    },
+
+    async reloadSiteLayer() {
+        if (!state.enabled) return true;
 
         try {
-            document.head.appendChild(style);
-            state.styleElement = style;
+            const css = await cssLoader.fetchExternalCSS();
+            if (!(await styleManager.swapLayer('site', css))) {
+                await styleManager.refreshLayer('site');
+            }
             return true;
         } catch (error) {
+            utils.log(`Failed to load ${this.getChannel()} stylesheet: ${error.message}`, 'error');
             return false;
         }
     },
 
-    remove() {
-        const existingStyle = document.getElementById(state.site.styleID);
-        if (existingStyle) {
-            if (existingStyle.tagName === 'LINK' && existingStyle.href.startsWith('blob:')) {
-                URL.revokeObjectURL(existingStyle.href);
-            }
-            existingStyle.remove();
+    describe() {
+        const channel = this.getChannel();
+        if (channel === CONFIG.ROLLBACK_CHANNEL) {
+            const snapshot = this.getSnapshot();
+            return snapshot
+                ? `Rolled back (${snapshot.channel}, ${new Date(snapshot.savedAt).toLocaleString()})`
+                : 'Rolled back (no snapshot)';
         }
+        return channel === CONFIG.DEFAULT_CHANNEL ? `${channel} (latest)` : `${channel} (pinned)`;
+    }
+};
 
-        state.styleElement = null;
-        utils.log('Styles removed', 'debug');
+channelManager.pinSite();
+
+// 🛠️ Dev manager - serves a site's sheet from a local dev server and hot swaps every change
+// With grants requests go through GM_xmlhttpRequest (hence @connect localhost / 127.0.0.1) and any static server works.
+// Without grants the page itself fetches, so the server must send CORS headers, e.g. `npx http-server --cors -c-1 -p 8080`
+// in the repository checkout, and Chrome's Private Network Access also wants Access-Control-Allow-Private-Network: true
+// on the preflight, which http-server doesn't send: use a manager with grants there
+const devManager = {
+    timer: null,
+    isPolling: false,
+    lastCSS: null,
+    validators: null,
+
+    getSettings() {
+        return utils.getValue(CONFIG.DEV_MODE_KEY, {})[state.site.key] || {};
     },
 
-    isApplied() {
-        return !!document.getElementById(state.site.styleID);
+    saveSettings(changes) {
+        const devSettings = utils.getValue(CONFIG.DEV_MODE_KEY, {});
+        devSettings[state.site.key] = { ...devSettings[state.site.key], ...changes };
+        return utils.setValue(CONFIG.DEV_MODE_KEY, devSettings);
     },
 
-    async forceReapply() {
-        if (state.enabled && !this.isApplied()) {
-            utils.log('Force reapplying styles', 'debug');
-            await this.apply();
-        }
-    }
-};
+    // Same file name as the published sheet, served from CONFIG.DEV_SERVER_URL
+    getDefaultURL() {
+        const styleURL = state.site.styleURL || '';
+        const repoFile = integrityManager.parseRepoURL(styleURL);
+        const path = repoFile ? repoFile.path : decodeURIComponent(styleURL.split('/').pop() || 'style.css');
+        return `${CONFIG.DEV_SERVER_URL}/${path.split('/').map(encodeURIComponent).join('/')}`;
+    },
 
-// 👁️ Observer manager
-const observerManager = {
-    setup() {
-        this.cleanup();
-        if (!state.enabled) return;
+    getURL() {
+        return this.getSettings().url || this.getDefaultURL();
+    },
 
-        if (state.site.aggressiveReapply || state.isBerryBrowser) {
-            this.createAggressiveObserver();
-        } else {
-            this.createStandardObserver();
-        }
+    isEnabled() {
+        return !!this.getSettings().enabled;
+    },
 
-        utils.log('Observer started', 'debug');
+    // Straight to the dev server: no cache, mirrors, proxies or snapshots
+    fetch(validators = null) {
+        const url = this.getURL();
+        return state.hasGrants ? cssLoader.fetchViaGM(url, validators) : cssLoader.fetchDirect(url, validators);
     },
 
-    createStandardObserver() {
-        const throttledReapply = utils.throttle(() => {
-            styleManager.forceReapply();
-        }, CONFIG.OBSERVER_THROTTLE);
+    async load() {
+        try {
+            const result = await this.fetch();
+            this.lastCSS = result.text;
+            this.validators = result;
+            return result.text;
+        } catch (error) {
+            throw new Error(`Dev server unreachable at ${this.getURL()}: ${error.message}`);
+        }
+    },
 
-        state.observer = new MutationObserver(mutations => {
-            let shouldReapply = false;
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
 
-            // Special handling for Facebook's React updates
-            if (state.site.isFacebook) {
-                for (const mutation of mutations) {
-                    if (mutation.removedNodes.length > 0) {
-                        for (const node of mutation.removedNodes) {
-                            if (node.id === state.site.styleID) {
-                                shouldReapply = true;
-                                break;
-                            }
-                        }
-                    }
-              
-                    if (mutation.target && mutation.target.id === 'facebook') {
-                        shouldReapply = true;
+        try {
+            const result = await this.fetch(this.validators);
+            if (result.notModified || result.text === this.lastCSS) return;
+
+            this.lastCSS = result.text;
+            this.validators = result;
+            state.cssContent = result.text;
+
+            if (!(await styleManager.swapLayer('site', result.text))) {
+                await styleManager.refreshLayer('site');
+            }
+            utils.log('Dev stylesheet changed, hot swapped', 'success');
+        } catch (error) {
+            utils.log(`Dev server poll failed: ${error.message}`, 'debug');
+        } finally {
+            this.isPolling = false;
+        }
+    },
+
+    start() {
+        if (this.timer || !state.enabled || !this.isEnabled()) return;
+
+        this.timer = setInterval(() => this.poll(), CONFIG.DEV_POLL_INTERVAL);
+        utils.log(`Dev mode: watching ${this.getURL()}`, 'info');
+    },
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    },
+
+    async setEnabled(isEnabled, url) {
+        this.saveSettings({ enabled: isEnabled, url: url || '' });
+        this.stop();
+        state.cssContent = null;
+        this.lastCSS = null;
+        this.validators = null;
+
+        const reloaded = await channelManager.reloadSiteLayer();
+        if (isEnabled) this.start();
+        return reloaded;
+    },
+
+    describe() {
+        return this.isEnabled() ? `ON (${this.getURL()}, polling ${this.timer ? 'active' : 'stopped'})` : 'OFF';
+    }
+};
+
+// 🔐 Integrity manager - guards CSS that comes back through third-party CORS proxies
+const integrityManager = {
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+    },
+
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // { user, repo, ref, path } for jsDelivr, raw.githubusercontent and Statically URLs, null for anything else
+    parseRepoURL(url) {
+        const match = url.match(/^https:\/\/cdn\.jsdelivr\.net\/gh\/([^/]+)\/([^/@]+)@([^/]+)\/(.+)$/) ||
+            url.match(/^https:\/\/raw\.githubusercontent\.com\/([^/]+)\/([^/]+)\/(?:refs\/heads\/)?([^/]+)\/(.+)$/) ||
+            url.match(/^https:\/\/cdn\.statically\.io\/gh\/([^/]+)\/([^/]+)\/([^/]+)\/(.+)$/);
+        return match ? { user: match[1], repo: match[2], ref: match[3], path: decodeURIComponent(match[4]) } : null;
+    },
+
+    // Pins belong to the file, not the mirror it came from: 'user/repo@ref/path'
+    getPinKey(repoFile) {
+        return `${repoFile.user}/${repoFile.repo}@${repoFile.ref}/${repoFile.path}`;
+    },
+
+    // Default channel files are checked against the manifest, pinned tags and commits
+    // against the digest recorded on their first direct download from any mirror
+    getExpectedHash(url) {
+        const repoFile = this.parseRepoURL(url);
+        if (!repoFile) return null;
+
+        if (repoFile.ref === CONFIG.DEFAULT_CHANNEL) {
+            return siteRegistry.integrity[repoFile.path] || null;
+        }
+        return utils.getValue(CONFIG.PINNED_HASHES_KEY, {})[this.getPinKey(repoFile)] || null;
+    },
+
+    async rememberPinnedHash(url, text) {
+        const repoFile = this.parseRepoURL(url);
+        if (!repoFile || repoFile.ref === CONFIG.DEFAULT_CHANNEL || !this.isSupported()) return;
+
+        const key = this.getPinKey(repoFile);
+        try {
+            const hashes = utils.getValue(CONFIG.PINNED_HASHES_KEY, {});
+            if (hashes[key]) return;
+
+            hashes[key] = await this.sha256(text);
+            if (!(await utils.setValue(CONFIG.PINNED_HASHES_KEY, hashes))) {
+                throw new Error('storage write failed');
+            }
+            utils.log(`Recorded SHA-256 for pinned ${repoFile.path}@${repoFile.ref}`, 'debug');
+        } catch (error) {
+            utils.log(`Could not record SHA-256 for ${key}: ${error.message}`, 'warning');
+        }
+    },
+
+    // true on a match, false on a mismatch, null when there is nothing to check against
+    async check(url, text) {
+        const expected = this.getExpectedHash(url);
+        if (!expected || !this.isSupported()) return null;
+
+        const actual = await this.sha256(text);
+        if (actual !== expected) {
+            utils.log(`Integrity mismatch for ${url}: expected ${expected}, got ${actual}`, 'error');
+            return false;
+        }
+
+        utils.log(`Integrity verified for ${url}`, 'debug');
+        return true;
+    },
+
+    isSiteTrusted() {
+        return !!utils.getValue(CONFIG.TRUSTED_PROXY_SITES_KEY, {})[state.site.key];
+    },
+
+    setSiteTrusted(isTrusted) {
+        const trusted = utils.getValue(CONFIG.TRUSTED_PROXY_SITES_KEY, {});
+        trusted[state.site.key] = isTrusted;
+        return utils.setValue(CONFIG.TRUSTED_PROXY_SITES_KEY, trusted);
+    },
+
+    // Unverifiable proxy responses are only accepted on sites the user trusts
+    canUseProxy(url) {
+        return (this.isSupported() && !!this.getExpectedHash(url)) || this.isSiteTrusted();
+    }
+};
+
+// 🪞 Mirror manager - the ordered, user-editable list of mirrors and CORS proxies every fetch walks
+// Mirror templates take {user} {repo} {ref} {path}, proxy templates take {url}
+const mirrorManager = {
+    DEFAULT_MIRRORS: [
+        { name: 'jsDelivr', template: 'https://cdn.jsdelivr.net/gh/{user}/{repo}@{ref}/{path}', enabled: true },
+        { name: 'GitHub raw', template: 'https://raw.githubusercontent.com/{user}/{repo}/{ref}/{path}', enabled: true },
+        { name: 'Statically', template: 'https://cdn.statically.io/gh/{user}/{repo}/{ref}/{path}', enabled: true }
+    ],
+
+    DEFAULT_PROXIES: [
+        { name: 'AllOrigins', template: 'https://api.allorigins.win/raw?url={url}', enabled: true },
+        { name: 'corsproxy.io', template: 'https://corsproxy.io/?{url}', enabled: true },
+        { name: 'CodeTabs', template: 'https://api.codetabs.com/v1/proxy?quest={url}', enabled: true }
+    ],
+
+    getChain() {
+        const saved = utils.getValue(CONFIG.FETCH_CHAIN_KEY, {});
+        return {
+            mirrors: Array.isArray(saved.mirrors) ? saved.mirrors : this.DEFAULT_MIRRORS.map(mirror => ({ ...mirror })),
+            proxies: Array.isArray(saved.proxies) ? saved.proxies : this.DEFAULT_PROXIES.map(proxy => ({ ...proxy })),
+            proxiesEnabled: saved.proxiesEnabled !== false
+        };
+    },
+
+    saveChain(chain) {
+        return utils.setValue(CONFIG.FETCH_CHAIN_KEY, chain);
+    },
+
+    resetChain() {
+        return utils.setValue(CONFIG.FETCH_CHAIN_KEY, {});
+    },
+
+    isValidTemplate(kind, template) {
+        if (!/^https?:\/\//.test(template)) return false;
+        return kind === 'proxies' ? template.includes('{url}') : template.includes('{path}');
+    },
+
+    addEntry(kind, name, template) {
+        if (!this.isValidTemplate(kind, template)) return false;
+
+        const chain = this.getChain();
+        chain[kind].push({ name: name || new URL(template.replace(/\{\w+\}/g, 'x')).hostname, template, enabled: true });
+        return this.saveChain(chain);
+    },
+
+    updateEntry(kind, index, changes) {
+        const chain = this.getChain();
+        if (!chain[kind][index]) return false;
+
+        Object.assign(chain[kind][index], changes);
+        return this.saveChain(chain);
+    },
+
+    moveEntry(kind, index, offset) {
+        const chain = this.getChain();
+        const target = index + offset;
+        if (target < 0 || target >= chain[kind].length) return false;
+
+        [chain[kind][index], chain[kind][target]] = [chain[kind][target], chain[kind][index]];
+        return this.saveChain(chain);
+    },
+
+    removeEntry(kind, index) {
+        const chain = this.getChain();
+        chain[kind].splice(index, 1);
+        return this.saveChain(chain);
+    },
+
+    setProxiesEnabled(isEnabled) {
+        const chain = this.getChain();
+        chain.proxiesEnabled = isEnabled;
+        return this.saveChain(chain);
+    },
+
+    // Repository files expand to every enabled mirror in order, anything else keeps its own URL and fallback
+    // Repository files only come from the enabled mirrors, so none enabled means nothing to fetch;
+    // other URLs are used as given
+    getCandidates(url, fallbackURL) {
+        const repoFile = integrityManager.parseRepoURL(url);
+        const candidates = [];
+
+        if (repoFile) {
+            const path = repoFile.path.split('/').map(encodeURIComponent).join('/');
+            this.getChain().mirrors
+                .filter(mirror => mirror.enabled)
+                .forEach(mirror => candidates.push(mirror.template
+                    .replace('{user}', repoFile.user)
+                    .replace('{repo}', repoFile.repo)
+                    .replace('{ref}', repoFile.ref)
+                    .replace('{path}', path)));
+        } else {
+            candidates.push(url, fallbackURL);
+        }
+
+        return candidates.filter((candidate, index) => candidate && candidates.indexOf(candidate) === index);
+    },
+
+    getProxies(url) {
+        const chain = this.getChain();
+        if (!chain.proxiesEnabled) return [];
+
+        return chain.proxies
+            .filter(proxy => proxy.enabled)
+            .map(proxy => ({ name: proxy.name, url: proxy.template.replace('{url}', encodeURIComponent(url)) }));
+    },
+
+    describe() {
+        const chain = this.getChain();
+        const enabledNames = list => list.filter(entry => entry.enabled).map(entry => entry.name).join(' → ') || 'None';
+        return `Mirrors: ${enabledNames(chain.mirrors)}\nProxies: ${chain.proxiesEnabled ? enabledNames(chain.proxies) : 'DISABLED'}`;
+    }
+};
+
+// 📈 Strategy manager - remembers which fetch strategies work on this browser and site
+// Stats live in the page's own storage, so they are naturally per browser and per site
+const strategyManager = {
+    getStats() {
+        return utils.getValue(CONFIG.STRATEGY_STATS_KEY, {});
+    },
+
+    record(key, succeeded, duration) {
+        const stats = this.getStats();
+        const entry = stats[key] || { successes: 0, failures: 0, avgMs: 0 };
+
+        if (succeeded) {
+            entry.avgMs = Math.round((entry.avgMs * entry.successes + duration) / (entry.successes + 1));
+            entry.successes++;
+            entry.lastSuccess = Date.now();
+        } else {
+            entry.failures++;
+        }
+
+        stats[key] = entry;
+        utils.setValue(CONFIG.STRATEGY_STATS_KEY, stats);
+    },
+
+    // Laplace-smoothed success rate: untried strategies score 0.5, so proven ones move ahead
+    // of them and strategies that keep failing (like opaque no-cors reads) fall behind
+    getScore(entry) {
+        return entry ? (entry.successes + 1) / (entry.successes + entry.failures + 2) : 0.5;
+    },
+
+    // Stable sort, so ties keep the default chain order; faster strategies win among equals
+    sort(strategies) {
+        const stats = this.getStats();
+        return strategies
+            .map((strategy, index) => ({ strategy, index, entry: stats[strategy.key] }))
+            .sort((a, b) => (this.getScore(b.entry) - this.getScore(a.entry)) ||
+                ((a.entry && a.entry.successes ? a.entry.avgMs : Infinity) - (b.entry && b.entry.successes ? b.entry.avgMs : Infinity)) ||
+                (a.index - b.index))
+            .map(({ strategy }) => strategy);
+    },
+
+    reset() {
+        return utils.setValue(CONFIG.STRATEGY_STATS_KEY, {});
+    },
+
+    describe() {
+        const entries = Object.entries(this.getStats())
+            .sort(([, a], [, b]) => this.getScore(b) - this.getScore(a))
+            .slice(0, 5);
+        if (entries.length === 0) return 'No history';
+
+        return entries.map(([key, entry]) =>
+            `\n  ${key}: ${entry.successes} ok / ${entry.failures} failed${entry.successes ? `, ~${entry.avgMs}ms` : ''}`).join('');
+    }
+};
+
+// Initialize state.enabled from saved settings
+state.enabled = utils.getSiteEnabledState();
+
+// 📥 CSS loader optimized for Berry Browser
+const cssLoader = {
+    revalidating: new Set(),
+
+    async fetchExternalCSS() {
+        state.fetchAttempts++;
+
+        if (state.site.inlineCSS) {
+            state.cssContent = state.site.inlineCSS;
+            return state.cssContent;
+        }
+
+        if (devManager.isEnabled()) {
+            state.cssContent = await devManager.load();
+            return state.cssContent;
+        }
+
+        const snapshot = channelManager.getChannel() === CONFIG.ROLLBACK_CHANNEL && channelManager.getSnapshot();
+        if (snapshot) {
+            state.cssContent = snapshot.css;
+            return state.cssContent;
+        }
+
+        utils.log(`Fetch attempt #${state.fetchAttempts}`, 'debug');
+
+        try {
+            const css = await this.fetchCached(state.site.name, state.site.styleURL, state.site.fallbackURL, update => {
+                if (devManager.isEnabled()) return;
+                uiManager.notifyStylesheetChange(update, state.site.name, freshCSS => {
+                    channelManager.saveSnapshot(state.cssContent);
+                    state.cssContent = freshCSS;
+                    styleManager.swapLayer('site', freshCSS);
+                });
+            });
+            state.cssContent = css;
+            return css;
+        } catch (error) {
+            throw new Error(`Could not fetch CSS from any source`);
+        }
+    },
+
+    // Cache only, whatever its age; null when nothing is cached
+    async getCachedCSS(cacheName, url) {
+        const cacheData = await utils.getCacheEntry(cacheName, url);
+        return cacheData ? cacheData.css : null;
+    },
+
+    // What fetchExternalCSS would start from, without touching the network
+    async getCachedSiteCSS() {
+        if (state.site.inlineCSS) return state.site.inlineCSS;
+        if (devManager.isEnabled()) return null;
+
+        const snapshot = channelManager.getChannel() === CONFIG.ROLLBACK_CHANNEL && channelManager.getSnapshot();
+        if (snapshot) return snapshot.css;
+
+        return this.getCachedCSS(state.site.name, state.site.styleURL);
+    },
+
+    // Stale-while-revalidate: a cached copy is returned at once whatever its age,
+    // stale ones are refreshed in the background and a changed version is handed to onUpdate as a pending update
+    async fetchCached(cacheName, url, fallbackURL, onUpdate) {
+        const cacheData = await utils.getCacheEntry(cacheName, url);
+        if (cacheData) {
+            if (utils.isCacheStale(cacheData)) {
+                this.revalidate(cacheName, url, fallbackURL, cacheData, onUpdate);
+            }
+            return cacheData.css;
+        }
+
+        const result = await this.fetchResource(url, fallbackURL);
+        await utils.setCachedCSS(result.text, cacheName, url, result);
+        return result.text;
+    },
+
+    // Declarations per rule, keyed by selector with any enclosing at-rules, e.g. '@media (max-width: 600px) › .sidebar'
+    parseRules(css) {
+        const rules = new Map();
+        const stack = [];
+        let buffer = '';
+
+        for (const char of css.replace(/\/\*[\s\S]*?\*\//g, '')) {
+            if (char === '{') {
+                // Declarations written before a nested rule belong to the parent
+                const split = buffer.lastIndexOf(';');
+                if (stack.length > 0) stack[stack.length - 1].body += buffer.slice(0, split + 1);
+                stack.push({ header: buffer.slice(split + 1).trim().replace(/\s+/g, ' '), body: '' });
+                buffer = '';
+            } else if (char === '}') {
+                const frame = stack.pop();
+                if (frame) {
+                    const declarations = (frame.body + buffer).split(';')
+                        .map(declaration => declaration.trim().replace(/\s+/g, ' '))
+                        .filter(Boolean);
+
+                    if (declarations.length > 0) {
+                        const key = [...stack.map(parent => parent.header), frame.header].join(' › ');
+                        rules.set(key, [...(rules.get(key) || []), ...declarations]);
                     }
                 }
+                buffer = '';
             } else {
-                for (const mutation of mutations) {
-                    if (mutation.removedNodes.length > 0) {
-                        for (const node of mutation.removedNodes) {
-                            if (node.id === state.site.styleID) {
-                                shouldReapply = true;
-                                break;
-                            }
-                        }
-                    }
-                }
+                buffer += char;
+            }
+        }
+
+        return rules;
+    },
+
+    // Rule-level comparison; formatting and comment changes don't count
+    diffRules(oldCSS, newCSS) {
+        const before = this.parseRules(oldCSS || '');
+        const after = this.parseRules(newCSS || '');
+        const diff = { added: [], removed: [], changed: [] };
+
+        after.forEach((declarations, selector) => {
+            if (!before.has(selector)) {
+                diff.added.push({ selector, declarations });
+                return;
             }
 
-            if (shouldReapply) {
-                throttledReapply();
+            const previous = before.get(selector);
+            if (previous.join(';') !== declarations.join(';')) {
+                diff.changed.push({
+                    selector,
+                    removed: previous.filter(declaration => !declarations.includes(declaration)),
+                    added: declarations.filter(declaration => !previous.includes(declaration))
+                });
+            }
+        });
+
+        before.forEach((declarations, selector) => {
+            if (!after.has(selector)) diff.removed.push({ selector, declarations });
+        });
+
+        return diff;
+    },
+
+    // Sends the stored ETag/Last-Modified so an unchanged sheet costs a 304 instead of a full download
+    async revalidate(cacheName, url, fallbackURL, cacheData, onUpdate) {
+        if (this.revalidating.has(cacheName)) return;
+        this.revalidating.add(cacheName);
+
+        try {
+            utils.log(`Revalidating ${cacheName} stylesheet in background`, 'debug');
+            const result = await this.fetchResource(url, fallbackURL, cacheData);
+
+            if (result.notModified) {
+                await utils.setCachedCSS(cacheData.css, cacheName, url, cacheData);
+                utils.log(`${cacheName} stylesheet not modified, cache extended`, 'debug');
+                return;
+            }
+
+            if (result.text === cacheData.css || !onUpdate) {
+                await utils.setCachedCSS(result.text, cacheName, url, result);
+                utils.log(`${cacheName} stylesheet ${result.text === cacheData.css ? 'unchanged' : 'updated'}`, 'debug');
+                return;
+            }
+
+            const update = { cacheName, url, css: result.text, previousCSS: cacheData.css, validators: result };
+            if (await this.isSkipped(update)) {
+                // Cached with the new validators, so this version answers 304 until the sheet changes again
+                await utils.setCachedCSS(cacheData.css, cacheName, url, result);
+                utils.log(`${cacheName} stylesheet update was skipped before, keeping the cached version`, 'debug');
+                return;
+            }
+
+            utils.log(`${cacheName} stylesheet changed, waiting for the update to be accepted`, 'info');
+            onUpdate(update);
+        } catch (error) {
+            utils.log(`Background refresh of ${cacheName} failed: ${error.message}`, 'warning');
+        } finally {
+            this.revalidating.delete(cacheName);
+        }
+    },
+
+    getSkippedUpdates() {
+        return utils.getValue(CONFIG.SKIPPED_UPDATES_KEY, {});
+    },
+
+    async isSkipped(update) {
+        const skipped = this.getSkippedUpdates()[update.cacheName];
+        return !!skipped && skipped === await integrityManager.sha256(update.css).catch(() => null);
+    },
+
+    // The pending version becomes the cached one; nothing is written until the user accepts it
+    async acceptUpdate(update) {
+        const skipped = this.getSkippedUpdates();
+        if (skipped[update.cacheName]) {
+            delete skipped[update.cacheName];
+            utils.setValue(CONFIG.SKIPPED_UPDATES_KEY, skipped);
+        }
+        return utils.setCachedCSS(update.css, update.cacheName, update.url, update.validators);
+    },
+
+    // Only this version is skipped: the next different one is offered again
+    async skipUpdate(update) {
+        try {
+            const skipped = this.getSkippedUpdates();
+            skipped[update.cacheName] = await integrityManager.sha256(update.css);
+            utils.setValue(CONFIG.SKIPPED_UPDATES_KEY, skipped);
+        } catch (error) {
+            utils.log(`Could not remember the skipped ${update.cacheName} update: ${error.message}`, 'warning');
+        }
+        return utils.setCachedCSS(update.previousCSS, update.cacheName, update.url, update.validators);
+    },
+
+    async fetchText(url, fallbackURL) {
+        return (await this.fetchResource(url, fallbackURL)).text;
+    },
+
+    // Every method/mirror pair (GM, Berry no-cors and cors, direct, each proxy) is one strategy,
+    // listed in the default chain order; strategyManager reorders them from past results
+    getStrategies(candidates, validators) {
+        const strategies = [];
+        const add = (label, candidate, run, isProxy = false) => strategies.push({
+            key: `${label} @ ${new URL(candidate).hostname}`, url: candidate, run, isProxy
+        });
+
+        if (state.hasGrants) {
+            candidates.forEach(candidate => add('GM', candidate, timeout => this.fetchViaGM(candidate, validators, timeout)));
+        }
+
+        if (state.isBerryBrowser) {
+            candidates.forEach(candidate => ['no-cors', 'cors'].forEach(mode =>
+                add(`Berry ${mode}`, candidate, async timeout => ({ text: await this.fetchForBerryBrowser(candidate, mode, timeout) }))));
+        }
+
+        candidates.forEach(candidate => add('direct', candidate, timeout => this.fetchDirect(candidate, validators, timeout)));
+
+        candidates.forEach(candidate => {
+            const proxies = mirrorManager.getProxies(candidate);
+            if (proxies.length === 0) return;
+
+            if (!integrityManager.canUseProxy(candidate)) {
+                utils.log(`Skipping CORS proxies for ${candidate}: no integrity hash and site not trusted`, 'debug');
+                return;
+            }
+
+            proxies.forEach(proxy => add(`proxy ${proxy.name}`, candidate,
+                async timeout => ({ text: await this.fetchViaCORSProxy(candidate, proxy.url, timeout) }), true));
+        });
+
+        return strategies;
+    },
+
+    // Walks the whole fetch chain for any text resource, historically successful strategies first.
+    // Resolves to { text, etag, lastModified }, or { notModified: true } when validators got a 304.
+    async fetchResource(url, fallbackURL, validators = null) {
+        const candidates = mirrorManager.getCandidates(url, fallbackURL);
+        if (candidates.length === 0) {
+            utils.log(`No mirrors enabled, not fetching ${url}`, 'error');
+            throw new Error('No mirrors enabled');
+        }
+
+        const strategies = strategyManager.sort(this.getStrategies(candidates, validators));
+        utils.log(`Fetch order: ${strategies.map(strategy => strategy.key).join(' → ')}`, 'debug');
+
+        const deadline = Date.now() + CONFIG.FETCH_DEADLINE;
+        let timeout = CONFIG.FETCH_TIMEOUT;
+
+        for (const strategy of strategies) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                utils.log(`Fetch deadline of ${CONFIG.FETCH_DEADLINE / 1000}s reached for ${url}`, 'warning');
+                break;
+            }
+
+            const startTime = Date.now();
+            try {
+                const result = await strategy.run(Math.min(timeout, remaining));
+                strategyManager.record(strategy.key, true, Date.now() - startTime);
+                if (result.text && !strategy.isProxy) await integrityManager.rememberPinnedHash(strategy.url, result.text);
+                return result;
+            } catch (error) {
+                strategyManager.record(strategy.key, false, Date.now() - startTime);
+                utils.log(`${strategy.key} failed: ${error.message}`, 'debug');
+
+                // The network is slow or blocked, so later strategies don't each get the full timeout
+                timeout = CONFIG.FETCH_RETRY_TIMEOUT;
+            }
+        }
+
+        utils.log(`All fetch methods failed`, 'error');
+        throw new Error(`Could not fetch ${url} from any source`);
+    },
+
+    getConditionalHeaders(validators) {
+        const headers = {};
+        if (validators && validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators && validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        return headers;
+    },
+
+    fetchViaGM(url, validators, timeout = CONFIG.FETCH_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            gmApi.xmlHttpRequest({
+                method: 'GET',
+                url: url,
+                timeout: timeout,
+                headers: {
+                    'Accept': 'text/css,*/*',
+                    'Cache-Control': 'no-cache',
+                    ...this.getConditionalHeaders(validators)
+                },
+                onload: (response) => {
+                    const getHeader = (name) => {
+                        const match = (response.responseHeaders || '').match(new RegExp(`^${name}:\\s*(.+)$`, 'im'));
+                        return match ? match[1].trim() : null;
+                    };
+
+                    if (response.status === 304 && validators) {
+                        utils.log('Not modified (304) via GM', 'success');
+                        resolve({ notModified: true });
+                    } else if (response.status >= 200 && response.status < 300) {
+                        const css = response.responseText;
+                        if (css && css.trim().length > 0) {
+                            utils.log(`Fetched ${css.length} chars via GM`, 'success');
+                            resolve({ text: css, etag: getHeader('etag'), lastModified: getHeader('last-modified') });
+                        } else {
+                            reject(new Error('Empty response'));
+                        }
+                    } else {
+                        reject(new Error(`HTTP ${response.status}`));
+                    }
+                },
+                onerror: () => reject(new Error('Network error')),
+                ontimeout: () => reject(new Error('Request timeout'))
+            });
+        });
+    },
+
+    async fetchDirect(url, validators, timeout = CONFIG.FETCH_TIMEOUT) {
+        utils.log('Trying direct fetch...', 'debug');
+
+        const response = await utils.fetchWithTimeout(url, {
+            method: 'GET',
+            headers: { 'Accept': 'text/css,*/*', ...this.getConditionalHeaders(validators) },
+            mode: 'cors',
+            cache: 'no-store'
+        }, timeout);
+
+        if (response.status === 304 && validators) {
+            utils.log('Not modified (304)', 'success');
+            return { notModified: true };
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const css = await response.text();
+
+        if (!css || css.trim().length === 0) {
+            throw new Error('Empty CSS response');
+        }
+
+        utils.log(`Fetched ${css.length} chars directly`, 'success');
+        return { text: css, etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+    },
+
+    async fetchForBerryBrowser(url, mode, timeout = CONFIG.FETCH_TIMEOUT) {
+        utils.log(`Berry: Trying ${mode}...`, 'debug');
+
+        const response = await utils.fetchWithTimeout(url, {
+            method: 'GET',
+            mode: mode,
+            cache: 'no-store'
+        }, timeout);
+
+        const css = await response.text();
+
+        if (!css || css.trim().length <= 10) {
+            throw new Error(mode === 'no-cors' ? 'Opaque or empty response' : 'Empty response');
+        }
+
+        utils.log(`Berry (${mode}): Got ${css.length} chars`, 'success');
+        return css;
+    },
+
+    async fetchViaCORSProxy(url, proxyURL, timeout = CONFIG.FETCH_TIMEOUT) {
+        const response = await utils.fetchWithTimeout(proxyURL, {
+            method: 'GET',
+            headers: { 'Accept': 'text/css,*/*' },
+            cache: 'no-store'
+        }, timeout);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const css = await response.text();
+
+        if (!css || css.trim().length === 0) {
+            throw new Error('Empty response');
+        }
+
+        if ((await integrityManager.check(url, css)) === false) {
+            throw new Error('Integrity check failed');
+        }
+
+        utils.log(`Fetched ${css.length} chars via proxy`, 'success');
+        return css;
+    }
+};
+
+// 🗺️ Remote site manifest
+const manifestLoader = {
+    isFresh() {
+        const cacheData = utils.getValue(CONFIG.MANIFEST_CACHE_KEY, null);
+        return !!cacheData &&
+            cacheData.url === CONFIG.MANIFEST_URL &&
+            Date.now() - cacheData.timestamp <= CONFIG.CACHE_DURATION;
+    },
+
+    // Fetches sites.json through the CSS fetch chain and caches it for the next page load
+    async refresh() {
+        if (this.isFresh()) {
+            utils.log('Using cached site manifest', 'debug');
+            return false;
+        }
+
+        let manifest;
+        try {
+            const text = await cssLoader.fetchText(CONFIG.MANIFEST_URL, CONFIG.MANIFEST_FALLBACK_URL);
+            manifest = JSON.parse(text);
+        } catch (error) {
+            utils.log(`Site manifest unavailable: ${error.message}`, 'warning');
+            return false;
+        }
+
+        let errors;
+        try {
+            errors = siteRegistry.validateManifest(manifest);
+        } catch (error) {
+            errors = [error.message];
+        }
+        if (errors.length > 0) {
+            utils.log(`Site manifest rejected, keeping built-in sites: ${errors.join('; ')}`, 'error');
+            return false;
+        }
+
+        utils.setValue(CONFIG.MANIFEST_CACHE_KEY, {
+            manifest: manifest,
+            timestamp: Date.now(),
+            url: CONFIG.MANIFEST_URL
+        });
+        utils.log(`Site manifest v${manifest.version} cached (${Object.keys(manifest.sites).length} entries)`, 'success');
+        return true;
+    }
+};
+
+// 🧹 CSS sanitizer - runs on every fetched sheet before it reaches the page
+const cssSanitizer = {
+    isAllowedURL(target) {
+        // Like the URL parser: tabs and newlines anywhere, and control characters at the ends, don't count
+        const value = target.replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+
+        // Everything goes through the parser, which reads '\' as '/' ('/\evil.com' is another host)
+        let url;
+        try {
+            url = new URL(value, window.location.href);
+        } catch (e) {
+            return false;
+        }
+
+        if (url.protocol === 'data:') return !/^data:\s*text\/html/i.test(value);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+        return url.hostname === window.location.hostname || CONFIG.CSS_URL_ALLOWLIST.includes(url.hostname);
+    },
+
+    // Cuts the sheet after every ; { or } outside strings, comments and parentheses (unquoted
+    // url(data:...;base64) has semicolons), so each declaration or rule prelude is judged as a whole
+    splitChunks(css) {
+        const chunks = [];
+        let start = 0;
+        let quote = null;
+        let depth = 0;
+
+        for (let i = 0; i < css.length; i++) {
+            const char = css[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '\\') {
+                i++;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '/' && css[i + 1] === '*') {
+                const end = css.indexOf('*/', i + 2);
+                i = end === -1 ? css.length : end + 1;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if ((char === ';' && depth === 0) || char === '{' || char === '}') {
+                chunks.push(css.slice(start, i + 1));
+                start = i + 1;
+                depth = 0;
+            }
+        }
+
+        if (start < css.length) chunks.push(css.slice(start));
+        return chunks;
+    },
+
+    // Only used for matching: escapes like u\72l( or @\69mport decoded and comments dropped.
+    // One left-to-right pass, so '\\' is a literal backslash and never starts a hex escape
+    decode(text) {
+        return text
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\\(?:([0-9a-f]{1,6})\s?|([^\n]))/gi, (match, hex, char) => {
+                if (char !== undefined) return char;
+                const codePoint = parseInt(hex, 16);
+                return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '�';
+            });
+    },
+
+    // Everything in a decoded chunk the browser would load: url() targets, and the bare strings
+    // src() and image-set() also accept
+    findURLs(decoded) {
+        const urls = [];
+        decoded.replace(/url\(\s*(['"]?)([\s\S]*?)\1\s*\)/gi, (match, quote, target) => urls.push(target));
+
+        const stringArgs = decoded.match(/(?:^|[^\w-])(?:src|(?:-webkit-)?image-set)\s*\(([\s\S]*)/i);
+        if (stringArgs) {
+            stringArgs[1].replace(/(['"])([\s\S]*?)\1/g, (match, quote, target) => urls.push(target));
+        }
+
+        return urls;
+    },
+
+    // Drops @import (its target would skip this pass), expression() and any declaration loading
+    // script URLs or resources from foreign hosts, which could leak page state through background requests.
+    // Dropped chunks keep their closing brace so the rule structure survives.
+    sanitize(css, source) {
+        const removed = [];
+
+        const clean = this.splitChunks(css).map(chunk => {
+            const decoded = this.decode(chunk);
+            const leading = chunk.match(/^\s*/)[0];
+            const terminator = /[{}]$/.test(chunk) ? chunk.slice(-1) : '';
+            const body = decoded.slice(0, decoded.length - terminator.length).trim();
+
+            if (/^@import\b/i.test(body)) {
+                removed.push(`@import ${body.replace(/^@import\s*/i, '').replace(/;$/, '').trim()}`);
+                return `${leading}/* @import removed by styler */${terminator}`;
+            }
+
+            if (/expression\s*\(/i.test(body)) {
+                removed.push(`expression(): ${body}`);
+                return `${leading}/* expression() removed by styler */${terminator}`;
+            }
+
+            const blocked = this.findURLs(body).filter(target => !this.isAllowedURL(target));
+            if (blocked.length > 0) {
+                blocked.forEach(target => removed.push(`url(${target})`));
+                return `${leading}/* url() removed by styler */${terminator}`;
+            }
+
+            return chunk;
+        }).join('');
+
+        if (removed.length > 0) {
+            state.sanitizerReport[source] = removed;
+            utils.log(`Sanitizer removed ${removed.length} item(s) from ${source}`, 'warning');
+        } else {
+            delete state.sanitizerReport[source];
+        }
+
+        return clean;
+    },
+
+    describe() {
+        const entries = Object.entries(state.sanitizerReport);
+        if (entries.length === 0) return 'Nothing removed';
+
+        return entries.map(([source, removed]) =>
+            `\n  ${source}:${removed.map(item => `\n    - ${item}`).join('')}`).join('');
+    }
+};
+
+// 🔣 Template manager - fills {{font.size}} placeholders and var(--styler-font-size) references in sheets
+// Values set for this site win over values for all sites, then the site's own defaults, then TEMPLATE_VARIABLES
+const templateManager = {
+    PLACEHOLDER_PATTERN: /\{\{\s*([\w.-]+)\s*\}\}/g,
+    VAR_PATTERN: /var\(\s*--styler-([\w-]+)/g,
+
+    // Source of every templated sheet on the page, so a settings change re-renders it without a refetch
+    sources: {},
+
+    getValues() {
+        return utils.getValue(CONFIG.TEMPLATE_VALUES_KEY, { global: {}, sites: {} });
+    },
+
+    getScopeValues(scope) {
+        const values = this.getValues();
+        return (scope === 'global' ? values.global : values.sites[state.site.key]) || {};
+    },
+
+    // 'font.size' and 'font-size' are the same variable
+    toPropertyName(name) {
+        return `--styler-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    },
+
+    uses(css) {
+        return /\{\{\s*[\w.-]+\s*\}\}|var\(\s*--styler-/.test(css);
+    },
+
+    findNames(css) {
+        return [
+            ...Array.from(css.matchAll(this.PLACEHOLDER_PATTERN), match => match[1]),
+            ...Array.from(css.matchAll(this.VAR_PATTERN), match => match[1])
+        ];
+    },
+
+    // Built-in variables plus any other name the sheets on this page use
+    getDefinitions() {
+        const definitions = CONFIG.TEMPLATE_VARIABLES.map(definition => ({ ...definition }));
+        const seen = new Set(definitions.map(definition => this.toPropertyName(definition.name)));
+
+        Object.values(this.sources).forEach(css => this.findNames(css).forEach(name => {
+            const property = this.toPropertyName(name);
+            if (seen.has(property)) return;
+
+            seen.add(property);
+            definitions.push({ name, label: name, type: 'text', default: '' });
+        }));
+
+        return definitions;
+    },
+
+    getDefinition(name) {
+        const property = this.toPropertyName(name);
+        return this.getDefinitions().find(definition => this.toPropertyName(definition.name) === property) ||
+            { name, label: name, type: 'text', default: '' };
+    },
+
+    resolve(name) {
+        const definition = this.getDefinition(name);
+        const candidates = [
+            this.getScopeValues('site')[definition.name],
+            this.getScopeValues('global')[definition.name],
+            (state.site.templateDefaults || {})[definition.name],
+            definition.default
+        ];
+        return candidates.find(value => value !== undefined && value !== '') || '';
+    },
+
+    isValidValue(value) {
+        return siteRegistry.isValidTemplateValue(value);
+    },
+
+    setValue(scope, name, value) {
+        value = value.trim();
+        if (!this.isValidValue(value)) return false;
+
+        const values = this.getValues();
+        let target = values.global;
+        if (scope !== 'global') {
+            values.sites[state.site.key] = values.sites[state.site.key] || {};
+            target = values.sites[state.site.key];
+        }
+
+        if (value) {
+            target[name] = value;
+        } else {
+            delete target[name];
+        }
+        return utils.setValue(CONFIG.TEMPLATE_VALUES_KEY, values);
+    },
+
+    resetScope(scope) {
+        const values = this.getValues();
+        if (scope === 'global') {
+            values.global = {};
+        } else {
+            delete values.sites[state.site.key];
+        }
+        return utils.setValue(CONFIG.TEMPLATE_VALUES_KEY, values);
+    },
+
+    // Placeholders are replaced in place, var() references get their custom properties declared on :root
+    render(id, css) {
+        if (!this.uses(css)) {
+            delete this.sources[id];
+            return css;
+        }
+        this.sources[id] = css;
+
+        let rendered = css.replace(this.PLACEHOLDER_PATTERN, (match, name) => {
+            const value = this.resolve(name);
+            if (!value) utils.log(`No value for template variable ${name} in ${id}`, 'debug');
+            return value || match;
+        });
+
+        const declarations = [...new Set(Array.from(css.matchAll(this.VAR_PATTERN), match => match[1]))]
+            .map(name => [this.toPropertyName(name), this.resolve(name)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}: ${value};`);
+
+        if (declarations.length > 0) {
+            rendered = `:root {\n    ${declarations.join('\n    ')}\n}\n${rendered}`;
+        }
+
+        return rendered;
+    },
+
+    // Re-renders every templated sheet still on the page
+    async refresh() {
+        for (const [id, css] of Object.entries(this.sources)) {
+            if (!styleManager.find(id)) {
+                delete this.sources[id];
+                continue;
+            }
+            await styleManager.swapStyle(id, css);
+        }
+        styleManager.saveEarlyCSS();
+    },
+
+    describe() {
+        const values = this.getDefinitions()
+            .map(definition => `${definition.name}=${this.resolve(definition.name) || '(unset)'}`)
+            .join(', ');
+        return `${values}; ${Object.keys(this.sources).length} templated sheet(s)`;
+    }
+};
+
+// 🎨 Style manager
+// Layers cascade in LAYER_ORDER: shared base, site sheet, page type and path extras, UserCSS imports, user overrides
+const styleManager = {
+    LAYER_ORDER: ['base', 'site', 'page', 'path', 'userstyle', 'user'],
+
+    // Constructed sheets by id, each { id, sheet, dataset } like the element it stands in for
+    adopted: new Map(),
+    ownSheets: new WeakSet(),
+
+    getLayerID(name) {
+        return name === 'site' ? state.site.styleID : `${state.site.styleID}-${name}`;
+    },
+
+    // Base, site and user layers for the current site, minus the ones switched off in settings
+    getLayers() {
+        const layers = [];
+
+        if (state.site.useSharedBase) {
+            const channel = channelManager.getChannel();
+            layers.push({
+                name: 'base',
+                load: () => cssLoader.fetchCached(`shared-base@${channel}`,
+                    channelManager.rewriteURL(CONFIG.SHARED_BASE_URL, channel),
+                    channelManager.rewriteURL(CONFIG.SHARED_BASE_FALLBACK_URL, channel),
+                    update => uiManager.notifyStylesheetChange(update, 'Shared base', freshCSS => this.swapLayer('base', freshCSS))),
+                cached: () => cssLoader.getCachedCSS(`shared-base@${channel}`,
+                    channelManager.rewriteURL(CONFIG.SHARED_BASE_URL, channel))
+            });
+        }
+
+        layers.push({
+            name: 'site',
+            required: true,
+            load: async () => state.cssContent || await cssLoader.fetchExternalCSS(),
+            cached: () => cssLoader.getCachedSiteCSS()
+        });
+
+        const userCSS = utils.getUserCSS();
+        if (userCSS.trim()) {
+            layers.push({ name: 'user', load: async () => userCSS, cached: async () => userCSS });
+        }
+
+        return layers.filter(layer => utils.isLayerEnabled(layer.name));
+    },
+
+    // Document-start: earlyCSS already put in the layers it had a copy of, those are taken over here
+    // (moved into adopted sheets where supported);
+    // the rest come from the stylesheet cache. Both go in before <head> exists and without the ready check.
+    // apply() runs later as usual, swapping in the same sheets and revalidating them in the background
+    async applyCached() {
+        if (earlyCSS.site !== state.site.key) earlyCSS.discard();
+
+        for (const layer of this.getLayers()) {
+            const id = this.getLayerID(layer.name);
+            const early = earlyCSS.site && earlyCSS.find(id);
+            if (early) {
+                // Into an adopted sheet like every other layer and extra, so LAYER_ORDER holds across them
+                if (this.injectViaAdopted(id, early.textContent, { stylerLayer: layer.name })) {
+                    early.remove();
+                    state.appliedLayers[layer.name] = 'adopted-sheet';
+                } else {
+                    state.appliedLayers[layer.name] = 'style-element';
+                    if (layer.name === 'site') state.styleElement = early;
+                }
+                continue;
+            }
+
+            const css = await layer.cached().catch(() => null);
+            if (css) await this.applyLayer({ ...layer, load: async () => css });
+        }
+
+        // Early copies of layers that have been switched off since
+        document.querySelectorAll('style[data-styler-layer]').forEach(element => {
+            const name = element.dataset.stylerLayer;
+            if (['base', 'site', 'user'].includes(name) && !state.appliedLayers[name]) element.remove();
+        });
+
+        if (!document.head) this.watchForHead();
+    },
+
+    // What earlyCSS injects on the next load: the applied layers as they are now, sanitized and rendered
+    saveEarlyCSS() {
+        const layers = this.LAYER_ORDER
+            .filter(name => state.appliedLayers[name])
+            .map(name => {
+                const id = this.getLayerID(name);
+                const entry = this.find(id);
+                return { id, name, css: !entry ? '' : this.adopted.has(id) ? entry.css : entry.textContent };
+            })
+            .filter(layer => layer.css);
+
+        earlyCSS.save(state.site.key, layers);
+    },
+
+    // Early elements sit straight under <html>. The parser's <head>, and every page style in it, would
+    // come after them and win ties, so they move after <head> as soon as it exists
+    watchForHead() {
+        const observer = new MutationObserver(() => {
+            if (!document.head) return;
+
+            observer.disconnect();
+            document.head.after(...this.getEarlyElements());
+        });
+        observer.observe(document.documentElement, { childList: true });
+    },
+
+    getEarlyElements() {
+        return Array.from(document.documentElement.children).filter(element => element.dataset.stylerLayer);
+    },
+
+    // Once the DOM is loaded they join the others at the end of <head>, in order
+    relocateEarlyStyles() {
+        const elements = this.getEarlyElements();
+        if (document.head && elements.length > 0) {
+            document.head.append(...elements);
+            utils.log(`Moved ${elements.length} early style(s) into <head>`, 'debug');
+        }
+    },
+
+    // Nothing is removed up front: each layer is built and swapped over the old one, so the page
+    // never falls back to its own styling while the ready check or the fetch is pending
+    async apply() {
+        if (!state.enabled || state.isLoading) {
+            return false;
+        }
+
+        const now = Date.now();
+        if (now - state.lastApplyTime < 500) {
+            utils.log('Throttling apply attempt', 'debug');
+            return false;
+        }
+        state.lastApplyTime = now;
+
+        state.isLoading = true;
+
+        try {
+            await utils.waitForPageReady();
+
+            const layers = this.getLayers();
+            for (const layer of layers) {
+                const applied = await this.applyLayer(layer);
+                if (!applied && layer.required) {
+                    throw new Error(`Could not apply ${layer.name} layer`);
+                }
+            }
+
+            // Layers switched off or emptied since the last apply
+            Object.keys(state.appliedLayers)
+                .filter(name => !layers.some(layer => layer.name === name))
+                .forEach(name => this.removeLayer(name));
+
+            this.saveEarlyCSS();
+            state.isLoading = false;
+            return true;
+
+        } catch (error) {
+            utils.log(`Failed to apply styles: ${error.message}`, 'error');
+            state.isLoading = false;
+            return false;
+        }
+    },
+
+    async applyLayer(layer) {
+        let css;
+        try {
+            css = await layer.load();
+        } catch (error) {
+            utils.log(`Failed to load ${layer.name} layer: ${error.message}`, 'error');
+            return false;
+        }
+
+        if (!css || css.trim().length === 0) {
+            utils.log(`No CSS content for ${layer.name} layer`, 'warning');
+            return false;
+        }
+
+        const id = this.getLayerID(layer.name);
+
+        // Already on the page: swapStyle keeps the old sheet until the new one is active
+        if (this.find(id)) {
+            return this.swapStyle(id, css);
+        }
+
+        css = templateManager.render(id, css);
+
+        // The user layer is typed in by the user and is trusted as-is
+        if (layer.name !== 'user') {
+            css = cssSanitizer.sanitize(css, id);
+        }
+
+        if (this.injectViaAdopted(id, css, { stylerLayer: layer.name })) {
+            state.appliedLayers[layer.name] = 'adopted-sheet';
+            utils.log(`✅ ${layer.name} layer applied via adoptedStyleSheets`, 'success');
+            return true;
+        }
+
+        if (this.injectViaStyle(id, css, layer.name)) {
+            state.appliedLayers[layer.name] = 'style-element';
+            utils.log(`✅ ${layer.name} layer applied via style element`, 'success');
+            return true;
+        }
+
+        if (await this.injectViaBlob(id, css, layer.name)) {
+            state.appliedLayers[layer.name] = 'blob-link';
+            utils.log(`✅ ${layer.name} layer applied via blob link`, 'success');
+            return true;
+        }
+
+        if (await this.injectViaGM(id, css, layer.name)) {
+            state.appliedLayers[layer.name] = 'gm-addstyle';
+            utils.log(`✅ ${layer.name} layer applied via GM_addStyle`, 'success');
+            return true;
+        }
+
+        utils.log(`All injection methods failed for ${layer.name} layer`, 'error');
+        return false;
+    },
+
+    // Re-applies a single layer, e.g. after the user edited their overrides, or removes it when it is now off or empty
+    async refreshLayer(name) {
+        const layer = state.enabled && this.getLayers().find(candidate => candidate.name === name);
+        if (!layer) {
+            this.removeLayer(name);
+            this.saveEarlyCSS();
+            return false;
+        }
+
+        const applied = await this.applyLayer(layer);
+        this.saveEarlyCSS();
+        return applied;
+    },
+
+    // Constructed sheets live outside the DOM, so React/Turbo head rewrites can't remove them,
+    // and replaceSync updates them in place
+    injectViaAdopted(id, css, dataset) {
+        if (!state.canAdoptSheets) return false;
+
+        try {
+            const sheet = new CSSStyleSheet();
+            sheet.replaceSync(css);
+            this.ownSheets.add(sheet);
+            this.adopted.set(id, { id, sheet, css, dataset: { ...dataset } });
+            this.syncAdoptedSheets();
+            return true;
+        } catch (error) {
+            this.adopted.delete(id);
+            utils.log(`adoptedStyleSheets failed for ${id}: ${error.message}`, 'debug');
+            return false;
+        }
+    },
+
+    // The page's own adopted sheets stay first, ours follow in LAYER_ORDER
+    syncAdoptedSheets() {
+        const ours = Array.from(this.adopted.values())
+            .sort((a, b) => this.LAYER_ORDER.indexOf(a.dataset.stylerLayer) - this.LAYER_ORDER.indexOf(b.dataset.stylerLayer))
+            .map(entry => entry.sheet);
+
+        document.adoptedStyleSheets = [
+            ...document.adoptedStyleSheets.filter(sheet => !this.ownSheets.has(sheet)),
+            ...ours
+        ];
+    },
+
+    // A layer or extra by id, whether it went in as an adopted sheet or a head element.
+    // Adopted entries count even while the page has dropped them, restoreAdoptedSheets puts them back
+    find(id) {
+        return this.adopted.get(id) || document.getElementById(id);
+    },
+
+    restoreAdoptedSheets() {
+        if (this.adopted.size === 0) return false;
+
+        const current = document.adoptedStyleSheets;
+        const missing = Array.from(this.adopted.values()).filter(entry => !current.includes(entry.sheet));
+        if (missing.length === 0) return false;
+
+        utils.log(`Page replaced adoptedStyleSheets, re-adding ${missing.map(entry => entry.id).join(', ')}`, 'debug');
+        this.syncAdoptedSheets();
+        return true;
+    },
+
+    findAll(datasetKey) {
+        const attribute = `data-${datasetKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+        return [
+            ...Array.from(this.adopted.keys()).map(id => this.find(id))
+                .filter(entry => entry && entry.dataset[datasetKey] !== undefined),
+            ...document.querySelectorAll(`[${attribute}]`)
+        ];
+    },
+
+    removeStyle(id) {
+        if (this.adopted.delete(id)) {
+            this.syncAdoptedSheets();
+            return;
+        }
+
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        if (element.tagName === 'LINK' && element.href.startsWith('blob:')) {
+            URL.revokeObjectURL(element.href);
+        }
+        element.remove();
+    },
+
+    // Inserts before the first styler element of a later layer so the cascade order never depends on timing
+    // Before <head> exists (document-start) elements go under <html>
+    placeElement(element, layerName) {
+        element.dataset.stylerLayer = layerName;
+
+        const parent = document.head || document.documentElement;
+        const order = this.LAYER_ORDER.indexOf(layerName);
+        const next = Array.from(parent.children)
+            .find(existing => existing.dataset.stylerLayer && this.LAYER_ORDER.indexOf(existing.dataset.stylerLayer) > order);
+
+        parent.insertBefore(element, next || null);
+    },
+
+    async injectViaBlob(id, css, layerName) {
+        if (!document.head) return false;
+
+        const blob = new Blob([css], { type: 'text/css' });
+        const blobUrl = URL.createObjectURL(blob);
+
+        const link = document.createElement('link');
+        link.id = id;
+        link.rel = 'stylesheet';
+        link.type = 'text/css';
+        link.href = blobUrl;
+
+        return new Promise((resolve) => {
+            link.onload = () => {
+                if (layerName === 'site') state.styleElement = link;
+                resolve(true);
+            };
+
+            link.onerror = () => {
+                link.remove();
+                URL.revokeObjectURL(blobUrl);
+                resolve(false);
+            };
+
+            this.placeElement(link, layerName);
+
+            setTimeout(() => {
+                if (link.sheet) {
+                    if (layerName === 'site') state.styleElement = link;
+                    resolve(true);
+                } else {
+                    resolve(false);
+                }
+            }, 1000);
+        });
+    },
+
+    injectViaStyle(id, css, layerName) {
+        if (!document.documentElement) return false;
+
+        const style = document.createElement('style');
+        style.id = id;
+        style.type = 'text/css';
+        style.textContent = css;
+
+        try {
+            this.placeElement(style, layerName);
+            if (layerName === 'site') state.styleElement = style;
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // The manager injects this one itself, which can get past page CSPs that block the other two
+    async injectViaGM(id, css, layerName) {
+        if (!document.head) return false;
+
+        try {
+            const style = await gmApi.addStyle(css);
+            if (!style) return false;
+
+            style.id = id;
+            this.placeElement(style, layerName);
+            if (layerName === 'site') state.styleElement = style;
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // Page type and path extras are owned by their managers and never touched by remove()
+    injectExtraStyle(id, css, dataset, layerName) {
+        if (!document.head || this.find(id)) return false;
+
+        css = cssSanitizer.sanitize(templateManager.render(id, css), id);
+        if (this.injectViaAdopted(id, css, { ...dataset, stylerLayer: layerName })) return true;
+
+        const style = document.createElement('style');
+        style.id = id;
+        Object.assign(style.dataset, dataset);
+        style.textContent = css;
+        this.placeElement(style, layerName);
+        return true;
+    },
+
+    async swapLayer(name, css) {
+        const swapped = await this.swapStyle(this.getLayerID(name), css);
+        if (swapped) this.saveEarlyCSS();
+        return swapped;
+    },
+
+    // Hot swap: the new sheet goes in right after the old one, which is only removed once the new one is active
+    async swapStyle(id, css) {
+        const oldElement = this.find(id);
+        if (!oldElement) return false;
+
+        css = templateManager.render(id, css);
+        if (oldElement.dataset.stylerLayer !== 'user') {
+            css = cssSanitizer.sanitize(css, id);
+        }
+
+        // Same sheet again, e.g. the late apply after early injection
+        const isAdopted = this.adopted.get(id) === oldElement;
+        if ((isAdopted ? oldElement.css : oldElement.textContent) === css) return true;
+
+        if (isAdopted) {
+            try {
+                oldElement.sheet.replaceSync(css);
+                oldElement.css = css;
+            } catch (error) {
+                utils.log(`Hot swap of ${id} failed, keeping the old sheet`, 'warning');
+                return false;
+            }
+            utils.log(`Hot swapped ${id}`, 'success');
+            return true;
+        }
+
+        let newElement;
+        if (oldElement.tagName === 'LINK') {
+            newElement = document.createElement('link');
+            newElement.rel = 'stylesheet';
+            newElement.href = URL.createObjectURL(new Blob([css], { type: 'text/css' }));
+        } else {
+            newElement = document.createElement('style');
+            newElement.textContent = css;
+        }
+        newElement.id = id;
+        newElement.type = 'text/css';
+        Object.assign(newElement.dataset, oldElement.dataset);
+
+        if (newElement.tagName === 'LINK') {
+            await new Promise((resolve) => {
+                newElement.onload = resolve;
+                newElement.onerror = resolve;
+                oldElement.after(newElement);
+                setTimeout(resolve, 1000);
+            });
+
+            if (!newElement.sheet) {
+                newElement.remove();
+                URL.revokeObjectURL(newElement.href);
+                utils.log(`Hot swap of ${id} failed, keeping the old sheet`, 'warning');
+                return false;
+            }
+        } else {
+            oldElement.after(newElement);
+
+            // A CSP that blocks inline styles leaves the element without a sheet; the userscript manager can still inject it
+            if (!newElement.sheet) {
+                newElement.remove();
+                newElement = await gmApi.addStyle(css).catch(() => null);
+                if (!newElement) {
+                    utils.log(`Hot swap of ${id} failed, keeping the old sheet`, 'warning');
+                    return false;
+                }
+
+                newElement.id = id;
+                Object.assign(newElement.dataset, oldElement.dataset);
+                oldElement.after(newElement);
+            }
+        }
+
+        if (oldElement.tagName === 'LINK' && oldElement.href.startsWith('blob:')) {
+            URL.revokeObjectURL(oldElement.href);
+        }
+        oldElement.remove();
+
+        if (id === state.site.styleID) state.styleElement = newElement;
+        utils.log(`Hot swapped ${id}`, 'success');
+        return true;
+    },
+
+    removeLayer(name) {
+        this.removeStyle(this.getLayerID(name));
+
+        if (name === 'site') state.styleElement = null;
+        delete state.appliedLayers[name];
+    },
+
+    remove() {
+        ['base', 'site', 'user'].forEach(name => this.removeLayer(name));
+        earlyCSS.clear();
+        utils.log('Styles removed', 'debug');
+    },
+
+    isLayerElement(node) {
+        return Object.keys(state.appliedLayers).some(name => node.id === this.getLayerID(name));
+    },
+
+    isApplied() {
+        const appliedNames = Object.keys(state.appliedLayers);
+        return appliedNames.length > 0 &&
+            appliedNames.every(name => !!this.find(this.getLayerID(name)));
+    },
+
+    async forceReapply() {
+        if (state.enabled) this.restoreAdoptedSheets();
+
+        if (state.enabled && !this.isApplied()) {
+            utils.log('Force reapplying styles', 'debug');
+            await this.apply();
+        }
+    }
+};
+
+// 🏷️ Page type manager - tracks which pageSelectors match the current view
+const pageTypeManager = {
+    currentTypes: [],
+    observer: null,
+
+    // Several types can match at once (e.g. repository and pull_requests)
+    detect() {
+        const selectors = state.site.pageSelectors || {};
+
+        return Object.keys(selectors).filter(pageType => {
+            try {
+                return !!document.querySelector(selectors[pageType]);
+            } catch (error) {
+                return false;
+            }
+        });
+    },
+
+    async update() {
+        if (!state.enabled || !state.site.pageSelectors) return;
+
+        const pageTypes = this.detect();
+        if (pageTypes.join(' ') === this.currentTypes.join(' ')) return;
+
+        this.currentTypes = pageTypes;
+
+        if (pageTypes.length > 0) {
+            document.documentElement.setAttribute(CONFIG.PAGE_TYPE_ATTRIBUTE, pageTypes.join(' '));
+        } else {
+            document.documentElement.removeAttribute(CONFIG.PAGE_TYPE_ATTRIBUTE);
+        }
+        utils.log(`Page type: ${pageTypes.join(', ') || 'unknown'}`, 'debug');
+
+        await this.syncPageStyles();
+    },
+
+    getStyleID(pageType) {
+        return `${state.site.styleID}-page-${pageType.replace(/[^a-z0-9-]/gi, '-')}`;
+    },
+
+    async syncPageStyles() {
+        const styleURLs = state.site.pageStyleURLs || {};
+
+        styleManager.findAll('stylerPageType').forEach(style => {
+            if (!this.currentTypes.includes(style.dataset.stylerPageType)) {
+                styleManager.removeStyle(style.id);
+            }
+        });
+
+        for (const pageType of this.currentTypes) {
+            const styleURL = styleURLs[pageType];
+            if (!styleURL || styleManager.find(this.getStyleID(pageType))) continue;
+
+            let css;
+            try {
+                css = await cssLoader.fetchCached(`${state.site.name}:${pageType}`, styleURL, null,
+                    update => uiManager.notifyStylesheetChange(update, `${state.site.name} ${pageType} page`,
+                        freshCSS => styleManager.swapStyle(this.getStyleID(pageType), freshCSS)));
+            } catch (error) {
+                utils.log(`Failed to load ${pageType} stylesheet: ${error.message}`, 'error');
+                continue;
+            }
+
+            // The page may have changed while the sheet was loading
+            if (!state.enabled || !this.currentTypes.includes(pageType)) continue;
+
+            if (styleManager.injectExtraStyle(this.getStyleID(pageType), css, { stylerPageType: pageType }, 'page')) {
+                utils.log(`Applied ${pageType} page styles`, 'success');
+            }
+        }
+    },
+
+    start() {
+        this.stop();
+        if (!state.enabled || !state.site.pageSelectors || !document.body) return;
+
+        const throttledUpdate = utils.throttle(() => this.update(), CONFIG.OBSERVER_THROTTLE);
+        this.observer = new MutationObserver(throttledUpdate);
+        this.observer.observe(document.body, { childList: true, subtree: true });
+        this.update();
+    },
+
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.currentTypes = [];
+        document.documentElement.removeAttribute(CONFIG.PAGE_TYPE_ATTRIBUTE);
+        styleManager.findAll('stylerPageType').forEach(style => styleManager.removeStyle(style.id));
+    }
+};
+
+// 📜 UserCSS manager - imports ==UserStyle== files (the Stylus format) into their own layer
+// @-moz-document sections decide where each part applies, @var declarations become panel settings
+const userStyleManager = {
+    SUPPORTED_PREPROCESSORS: ['default', 'uso'],
+    applied: {},
+
+    getStyles() {
+        return utils.getValue(CONFIG.USERSTYLES_KEY, []);
+    },
+
+    saveStyles(styles) {
+        return utils.setValue(CONFIG.USERSTYLES_KEY, styles);
+    },
+
+    // Index just past the bracket that closes the one at start, skipping strings and comments
+    findClosing(text, start) {
+        const pairs = { '{': '}', '[': ']' };
+        const open = text[start];
+        let depth = 0;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === "'") {
+                i = text.indexOf(char, i + 1);
+                while (i !== -1 && text[i - 1] === '\\') i = text.indexOf(char, i + 1);
+                if (i === -1) break;
+            } else if (char === '/' && text[i + 1] === '*') {
+                i = text.indexOf('*/', i + 2) + 1;
+                if (i === 0) break;
+            } else if (char === open) {
+                depth++;
+            } else if (char === pairs[open] && --depth === 0) {
+                return i + 1;
+            }
+        }
+        throw new Error(`Unbalanced ${open} at position ${start}`);
+    },
+
+    parseVar(type, name, label, rawValue) {
+        const variable = { type, name, label };
+
+        if (type === 'select' || type === 'dropdown' || type === 'image') {
+            const options = JSON.parse(rawValue);
+            variable.type = 'select';
+            variable.options = Array.isArray(options)
+                ? options.map(option => ({ label: String(option).replace(/\*$/, ''), value: String(option).replace(/\*$/, ''), isDefault: /\*$/.test(option) }))
+                : Object.entries(options).map(([key, value]) => ({ label: key.replace(/\*$/, ''), value: String(value), isDefault: /\*$/.test(key) }));
+            const defaultOption = variable.options.find(option => option.isDefault) || variable.options[0];
+            variable.default = defaultOption ? defaultOption.value : '';
+        } else if (type === 'number' || type === 'range') {
+            const [value, min, max, step, units] = rawValue.startsWith('[') ? JSON.parse(rawValue) : [Number(rawValue)];
+            Object.assign(variable, { default: value, min, max, step, units: units || '' });
+        } else if (type === 'checkbox') {
+            variable.default = rawValue.replace(/['"]/g, '') === '1' ? '1' : '0';
+        } else {
+            variable.default = rawValue.replace(/^(['"])([\s\S]*)\1$/, '$2');
+        }
+
+        return variable;
+    },
+
+    parseMetadata(block) {
+        const meta = { vars: [] };
+        const varHeader = /@(?:var|advanced)\s+(\w+)\s+([\w-]+)\s+("[^"]*"|'[^']*'|\S+)[ \t]+/g;
+        let match;
+
+        while ((match = varHeader.exec(block))) {
+            const valueStart = match.index + match[0].length;
+            const valueEnd = '{['.includes(block[valueStart])
+                ? this.findClosing(block, valueStart)
+                : (block.indexOf('\n', valueStart) === -1 ? block.length : block.indexOf('\n', valueStart));
+
+            meta.vars.push(this.parseVar(match[1], match[2], match[3].replace(/^['"]|['"]$/g, ''), block.slice(valueStart, valueEnd).trim()));
+            block = block.slice(0, match.index) + ' '.repeat(valueEnd - match.index) + block.slice(valueEnd);
+            varHeader.lastIndex = valueEnd;
+        }
+
+        block.split('\n').forEach(line => {
+            const field = line.match(/^\s*@([\w-]+)\s+(.+)$/);
+            if (field && meta[field[1]] === undefined) meta[field[1]] = field[2].trim();
+        });
+        return meta;
+    },
+
+    // Splits the code into { conditions, code } sections; code outside @-moz-document becomes a section without conditions
+    parseSections(css) {
+        const sections = [];
+        const documentRule = /@(?:-moz-)?document\s+/g;
+        const condition = /(domain|url-prefix|url|regexp)\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^)]*?))\s*\)\s*,?\s*/y;
+        let globalCode = '';
+        let index = 0;
+        let match;
+
+        while ((match = documentRule.exec(css))) {
+            globalCode += css.slice(index, match.index);
+
+            const conditions = [];
+            condition.lastIndex = documentRule.lastIndex;
+            let conditionMatch;
+            while ((conditionMatch = condition.exec(css))) {
+                const value = conditionMatch[2] ?? conditionMatch[3] ?? conditionMatch[4];
+                conditions.push({ type: conditionMatch[1], value: value.replace(/\\(.)/g, '$1') });
+                index = condition.lastIndex;
+            }
+
+            if (conditions.length === 0 || css[index] !== '{') {
+                throw new Error(`Malformed @-moz-document at position ${match.index}`);
+            }
+
+            const end = this.findClosing(css, index);
+            sections.push({ conditions, code: css.slice(index + 1, end - 1) });
+            index = end;
+            documentRule.lastIndex = end;
+        }
+
+        globalCode += css.slice(index);
+        if (globalCode.replace(/\/\*[\s\S]*?\*\//g, '').trim()) {
+            sections.unshift({ conditions: [], code: globalCode });
+        }
+        return sections;
+    },
+
+    parse(source, sourceURL = '') {
+        const header = source.match(/\/\*\s*==UserStyle==([\s\S]*?)==\/UserStyle==\s*\*\//);
+        if (!header) throw new Error('Not a UserCSS file: no ==UserStyle== block');
+
+        const meta = this.parseMetadata(header[1]);
+        if (!meta.name) throw new Error('UserCSS @name is missing');
+
+        const preprocessor = meta.preprocessor || 'default';
+        if (!this.SUPPORTED_PREPROCESSORS.includes(preprocessor)) {
+            throw new Error(`The ${preprocessor} preprocessor is not supported`);
+        }
+
+        return {
+            id: `${meta.namespace || ''}/${meta.name}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            name: meta.name,
+            version: meta.version || '',
+            sourceURL,
+            preprocessor,
+            vars: meta.vars,
+            sections: this.parseSections(source.replace(header[0], '')),
+            values: {},
+            enabled: true
+        };
+    },
+
+    async importFromURL(url) {
+        return this.importSource(await cssLoader.fetchText(url, null), url);
+    },
+
+    // Re-importing a style keeps the values the user already picked
+    importSource(source, sourceURL = '') {
+        const style = this.parse(source, sourceURL);
+        const styles = this.getStyles();
+        const existing = styles.find(candidate => candidate.id === style.id);
+        if (existing) style.values = existing.values;
+
+        this.saveStyles([...styles.filter(candidate => candidate.id !== style.id), style]);
+        utils.log(`Imported UserCSS "${style.name}" (${style.sections.length} sections, ${style.vars.length} variables)`, 'success');
+        return style;
+    },
+
+    updateStyle(id, changes) {
+        const styles = this.getStyles();
+        const style = styles.find(candidate => candidate.id === id);
+        if (!style) return false;
+
+        Object.assign(style, changes);
+        return this.saveStyles(styles);
+    },
+
+    setVariable(id, name, value) {
+        const style = this.getStyles().find(candidate => candidate.id === id);
+        return style ? this.updateStyle(id, { values: { ...style.values, [name]: value } }) : false;
+    },
+
+    removeStyle(id) {
+        return this.saveStyles(this.getStyles().filter(style => style.id !== id));
+    },
+
+    matchesCondition(condition, href = location.href) {
+        const hostname = new URL(href).hostname;
+        switch (condition.type) {
+            case 'domain':
+                return hostname === condition.value || hostname.endsWith(`.${condition.value}`);
+            case 'url-prefix':
+                return href.startsWith(condition.value);
+            case 'url':
+                return href.split('#')[0] === condition.value;
+            case 'regexp':
+                try {
+                    return new RegExp(`^(?:${condition.value})$`).test(href);
+                } catch (e) {
+                    return false;
+                }
+            default:
+                return false;
+        }
+    },
+
+    // SITES entries a style has sections for, for the panel; global code alone targets nothing in particular
+    getTargetSites(style) {
+        return Object.entries(SITES)
+            .filter(([key, site]) => style.sections.some(section => section.conditions.some(condition => {
+                if (condition.type === 'regexp') return this.matchesCondition(condition, `https://${key}/`);
+
+                const hostname = condition.type === 'domain' ? condition.value : (() => {
+                    try { return new URL(condition.value).hostname; } catch (e) { return ''; }
+                })();
+                return site.hosts.some(pattern => siteRegistry.matchesHost(pattern, hostname));
+            })))
+            .map(([, site]) => site.name);
+    },
+
+    formatValue(variable, value) {
+        if (value === undefined) value = variable.default;
+        return variable.units ? `${value}${variable.units}` : String(value);
+    },
+
+    // CSS for the current URL, or null when no section matches.
+    // Global code only rides along with a matching section, so a style never spreads to sites it doesn't target.
+    compile(style, href = location.href) {
+        const matching = style.sections.filter(section =>
+            section.conditions.length === 0 || section.conditions.some(condition => this.matchesCondition(condition, href)));
+        if (!matching.some(section => section.conditions.length > 0)) return null;
+
+        let code = matching.map(section => section.code.trim()).join('\n');
+
+        if (style.preprocessor === 'uso') {
+            code = code.replace(/\/\*\[\[([\w-]+)\]\]\*\//g, (placeholder, name) => {
+                const variable = style.vars.find(candidate => candidate.name === name);
+                return variable ? this.formatValue(variable, style.values[name]) : placeholder;
+            });
+        } else if (style.vars.length > 0) {
+            const declarations = style.vars.map(variable => `    --${variable.name}: ${this.formatValue(variable, style.values[variable.name])};`);
+            code = `:root {\n${declarations.join('\n')}\n}\n${code}`;
+        }
+
+        return code;
+    },
+
+    getStyleID(style) {
+        return `${state.site.styleID}-userstyle-${style.id}`;
+    },
+
+    // Brings the injected styles in line with the stored ones and the current URL
+    sync() {
+        const active = {};
+        this.getStyles()
+            .filter(style => style.enabled)
+            .forEach(style => {
+                const css = this.compile(style);
+                if (css) active[this.getStyleID(style)] = { style, css };
+            });
+
+        styleManager.findAll('stylerUserstyle').forEach(element => {
+            if (!active[element.id]) {
+                styleManager.removeStyle(element.id);
+                delete this.applied[element.id];
+            }
+        });
+
+        Object.entries(active).forEach(([id, { style, css }]) => {
+            if (this.applied[id] === css && styleManager.find(id)) return;
+
+            if (styleManager.find(id)) {
+                styleManager.swapStyle(id, css);
+            } else {
+                styleManager.injectExtraStyle(id, css, { stylerUserstyle: style.id }, 'userstyle');
+                utils.log(`Applied UserCSS "${style.name}"`, 'success');
+            }
+            this.applied[id] = css;
+        });
+    },
+
+    remove() {
+        styleManager.findAll('stylerUserstyle').forEach(element => styleManager.removeStyle(element.id));
+        this.applied = {};
+    },
+
+    describe() {
+        const styles = this.getStyles();
+        const activeHere = styles.filter(style => style.enabled && this.compile(style));
+        return `${styles.length} imported, ${activeHere.length} active here` +
+            (activeHere.length ? ` (${activeHere.map(style => style.name).join(', ')})` : '');
+    }
+};
+
+// 👁️ Observer manager
+const observerManager = {
+    adoptedCheckId: null,
+
+    setup() {
+        this.cleanup();
+        if (!state.enabled) return;
+
+        if (state.site.aggressiveReapply || state.isBerryBrowser) {
+            this.createAggressiveObserver();
+        } else {
+            this.createStandardObserver();
+        }
+
+        // Neither observer sees adoptedStyleSheets being reassigned, so that is checked on its own
+        if (state.canAdoptSheets) {
+            this.adoptedCheckId = setInterval(() => styleManager.restoreAdoptedSheets(), CONFIG.ADOPTED_CHECK_INTERVAL);
+        }
+
+        utils.log('Observer started', 'debug');
+    },
+
+    createStandardObserver() {
+        const throttledReapply = utils.throttle(() => {
+            styleManager.forceReapply();
+        }, CONFIG.OBSERVER_THROTTLE);
+
+        state.observer = new MutationObserver(mutations => {
+            let shouldReapply = false;
+
+            // Special handling for Facebook's React updates
+            if (state.site.isFacebook) {
+                for (const mutation of mutations) {
+                    if (mutation.removedNodes.length > 0) {
+                        for (const node of mutation.removedNodes) {
+                            if (styleManager.isLayerElement(node)) {
+                                shouldReapply = true;
+                                break;
+                            }
+                        }
+                    }
+              
+                    if (mutation.target && mutation.target.id === 'facebook') {
+                        shouldReapply = true;
+                    }
+                }
+            } else {
+                for (const mutation of mutations) {
+                    if (mutation.removedNodes.length > 0) {
+                        for (const node of mutation.removedNodes) {
+                            if (styleManager.isLayerElement(node)) {
+                                shouldReapply = true;
+                                break;
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (shouldReapply) {
+                throttledReapply();
+            }
+        });
+
+        const observeTarget = state.site.isFacebook ? document.body : document.head;
+        const observeOptions = state.site.isFacebook ? {
+            childList: true,
+            subtree: true
+        } : {
+            childList: true,
+            subtree: false
+        };
+
+        state.observer.observe(observeTarget, observeOptions);
+    },
+
+    createAggressiveObserver() {
+        let checkCount = 0;
+        const maxChecks = 50;
+
+        const checkAndReapply = async () => {
+            if (checkCount++ > maxChecks) {
+                clearInterval(intervalId);
+                utils.log('Aggressive observer stopped', 'debug');
+                return;
+            }
+
+            if (!styleManager.isApplied() && state.enabled) {
+                utils.log('Style missing, reapplying...', 'debug');
+                await styleManager.forceReapply();
+            }
+        };
+
+        const intervalId = setInterval(checkAndReapply, 2000);
+
+        state.observer = {
+            disconnect: () => clearInterval(intervalId)
+        };
+    },
+
+    cleanup() {
+        if (state.observer) {
+            if (state.observer.disconnect) {
+                state.observer.disconnect();
+            }
+            state.observer = null;
+        }
+
+        clearInterval(this.adoptedCheckId);
+        this.adoptedCheckId = null;
+    }
+};
+
+// 📱 UI manager with hideable floating button and settings panel
+const uiManager = {
+    // Which values the Template Variables section edits: 'site' or 'global'
+    templateScope: 'site',
+
+    setup() {
+        this.createFloatingButton();
+        this.createSettingsPanel();
+        this.registerMenuCommands();
+    },
+
+    // Userscript manager menu entries, also the way back to the panel while the button is hidden
+    registerMenuCommands() {
+        gmApi.registerMenuCommand(`🎨 Toggle styles on ${state.site.name}`, () => this.toggleCurrentSite());
+        gmApi.registerMenuCommand('⚙️ Styler settings', () => this.toggleSettingsPanel());
+        gmApi.registerMenuCommand('👁️ Show/hide floating button', () => this.toggleButtonVisibility());
+    },
+
+    createFloatingButton() {
+        const button = document.createElement('div');
+        button.id = 'site-styler-btn';
+
+        // 🆕 Check if button should be visible
+        const isButtonVisible = utils.getButtonVisibility();
+
+        // 🆕 Add visibility class for CSS targeting
+        if (!isButtonVisible) {
+            button.classList.add('hidden-button');
+        }
+
+        button.style.cssText = `
+            position: fixed;
+            bottom: 80px;
+            right: 20px;
+            width: 50px;
+            height: 50px;
+            border-radius: 50%;
+            color: white;
+            border: none;
+            font-size: 24px;
+            cursor: pointer;
+            z-index: 999999;
+            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+            user-select: none;
+            -webkit-tap-highlight-color: transparent;
+        `;
+
+        // 🆕 Apply hidden state if needed
+        if (!isButtonVisible) {
+            button.style.transform = 'translateX(100px) scale(0.8)';
+            button.style.opacity = '0';
+            button.style.pointerEvents = 'none';
+        }
+
+        this.updateButtonState(button);
+
+        // 🆕 Add button animation styles
+        this.addButtonAnimations();
+
+        // Click: Toggle current site styles
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.toggleCurrentSite();
+        });
+
+        // Long press: Show settings panel
+        let longPressTimer;
+        button.addEventListener('touchstart', (e) => {
+            longPressTimer = setTimeout(() => {
+                this.toggleSettingsPanel();
+            }, 1000);
+        });
+
+        button.addEventListener('touchend', () => {
+            clearTimeout(longPressTimer);
+        });
+
+        // Right click: Show settings panel on desktop
+        button.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.toggleSettingsPanel();
+        });
+
+        const addButton = () => {
+            if (document.body) {
+                document.body.appendChild(button);
+            } else {
+                setTimeout(addButton, 100);
+            }
+        };
+        addButton();
+    },
+
+    addButtonAnimations() {
+        if (!document.head || document.getElementById('button-animations')) return;
+
+        const style = document.createElement('style');
+        style.id = 'button-animations';
+        style.textContent = `
+            #site-styler-btn.hidden-button {
+                transform: translateX(100px) scale(0.8) !important;
+                opacity: 0 !important;
+                pointer-events: none !important;
+            }
+
+            #site-styler-btn:not(.hidden-button) {
+                transform: translateX(0) scale(1) !important;
+                opacity: 1 !important;
+                pointer-events: auto !important;
+            }
+        `;
+        document.head.appendChild(style);
+    },
+
+    updateButtonState(button) {
+        if (!button) button = document.getElementById('site-styler-btn');
+        if (!button) return;
+
+        let icon;
+        if (state.site.isGoogle) {
+            icon = state.enabled ? '🔍' : '🔎';
+        } else if (state.site.isGmail) {
+            icon = state.enabled ? '📧' : '✉️';
+        } else if (state.site.isGitHub) {
+            icon = state.enabled ? '🐙' : '⚫';
+        } else if (state.site.isFacebook) {
+            icon = state.enabled ? '👤' : '🙈';
+        } else if (state.site.isTwitter) {
+            icon = state.enabled ? '🐦' : '🚫';
+        } else if (state.site.isStackOverflow) {
+            icon = state.enabled ? '💻' : '🖥️';
+        } else {
+            icon = state.enabled ? '🎨' : '🚫';
+        }
+
+        button.innerHTML = icon;
+        button.style.opacity = state.enabled ? '1' : '0.6';
+        button.title = `${state.site.name}: ${state.enabled ? 'ON' : 'OFF'}\nLong press for settings`;
+
+        // Set background based on site
+        if (state.site.isGitHub) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #24292e 0%, #2dba4e 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else if (state.site.isGoogle) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #4285f4 0%, #34a853 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else if (state.site.isGmail) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #D14836 0%, #F1B8AE 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else if (state.site.isFacebook) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #1877F2 0%, #0d8bf0 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else if (state.site.isTwitter) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #000000 0%, #1DA1F2 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else if (state.site.isStackOverflow) {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #F48024 0%, #BCBBBB 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        } else {
+            button.style.background = state.enabled
+                ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
+                : 'linear-gradient(135deg, #666 0%, #999 100%)';
+        }
+
+        if (state.isLoading) {
+            button.style.animation = 'pulse 1.5s infinite';
+        } else {
+            button.style.animation = 'none';
+        }
+    },
+
+
+    // Starts or stops everything that follows the current site's enabled state
+    applyEnabledState() {
+        if (state.enabled) {
+            styleManager.apply();
+            observerManager.setup();
+            pageTypeManager.start();
+            navigationManager.syncPathStyles();
+            userStyleManager.sync();
+            devManager.start();
+        } else {
+            styleManager.remove();
+            observerManager.cleanup();
+            pageTypeManager.stop();
+            devManager.stop();
+            navigationManager.removePathStyles();
+            userStyleManager.remove();
+        }
+    },
+
+    toggleCurrentSite() {
+        state.enabled = !state.enabled;
+        utils.saveSiteEnabledState(state.enabled);
+        this.applyEnabledState();
+
+        this.updateButtonState();
+        this.showToast(`${state.site.name}: ${state.enabled ? 'ON' : 'OFF'}`);
+    },
+
+    // 🆕 Toggle button visibility
+    toggleButtonVisibility() {
+        const button = document.getElementById('site-styler-btn');
+        const currentVisibility = utils.getButtonVisibility();
+        const newVisibility = !currentVisibility;
+
+        // Save the new visibility setting
+        utils.saveButtonVisibility(newVisibility);
+
+        // Update button class for CSS targeting
+        if (button) {
+            if (newVisibility) {
+                button.classList.remove('hidden-button');
+                button.style.pointerEvents = 'auto';
+            } else {
+                button.classList.add('hidden-button');
+                button.style.pointerEvents = 'none';
+            }
+        }
+
+        this.showToast(`Button ${newVisibility ? 'shown' : 'hidden'}`);
+        return newVisibility;
+    },
+
+    createSettingsPanel() {
+        // Create panel container
+        const panel = document.createElement('div');
+        panel.id = 'site-styler-settings';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 140px;
+            right: 20px;
+            background: rgba(0,0,0,0.95);
+            color: white;
+            padding: 20px;
+            border-radius: 12px;
+            z-index: 999998;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+            backdrop-filter: blur(10px);
+            display: none;
+            flex-direction: column;
+            gap: 15px;
+            min-width: 300px;
+            max-width: 90vw;
+            max-height: 70vh;
+            overflow-y: auto;
+            font-family: system-ui, -apple-system, sans-serif;
+            animation: slideIn 0.3s ease;
+        `;
+
+        // Title
+        const title = document.createElement('div');
+        title.textContent = '🎨 Site Styler Settings';
+        title.style.cssText = `
+            font-size: 18px;
+            font-weight: bold;
+            margin-bottom: 10px;
+            border-bottom: 1px solid rgba(255,255,255,0.2);
+            padding-bottom: 10px;
+        `;
+        panel.appendChild(title);
+
+        // Where settings are stored: shared by all sites, or only this one when grants are missing
+        const storageInfo = document.createElement('div');
+        const isGlobalStorage = settingsStore.mode !== 'local';
+        storageInfo.textContent = `${isGlobalStorage ? '💾' : '⚠️'} Settings: ${settingsStore.describe()}`;
+        storageInfo.title = isGlobalStorage
+            ? 'Toggles and cached stylesheets apply on every site'
+            : 'Without GM storage grants, changes made here only apply on this site';
+        storageInfo.style.cssText = `
+            font-size: 12px;
+            padding: 6px 10px;
+            border-radius: 6px;
+            background: ${isGlobalStorage ? 'rgba(76,175,80,0.15)' : 'rgba(255,152,0,0.2)'};
+            color: ${isGlobalStorage ? '#A5D6A7' : '#FFCC80'};
+        `;
+        panel.appendChild(storageInfo);
+
+        // Current site info
+        const currentSiteInfo = document.createElement('div');
+        const currentSiteLabel = document.createElement('div');
+        currentSiteLabel.textContent = 'CURRENT SITE';
+        currentSiteLabel.style.cssText = `
+            font-size: 12px;
+            opacity: 0.8;
+            margin-bottom: 5px;
+        `;
+        currentSiteInfo.appendChild(currentSiteLabel);
+
+        const currentSiteRow = document.createElement('div');
+        currentSiteRow.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        `;
+
+        // Site names can come from the remote manifest, so they only ever go in as text
+        const currentSiteName = document.createElement('span');
+        currentSiteName.textContent = state.site.name;
+        currentSiteRow.appendChild(currentSiteName);
+
+        const currentSiteToggle = document.createElement('button');
+        currentSiteToggle.id = 'toggle-current-site';
+        currentSiteToggle.textContent = state.enabled ? 'ENABLED' : 'DISABLED';
+        currentSiteToggle.style.cssText = `
+            background: ${state.enabled ? '#4CAF50' : '#f44336'};
+            color: white;
+            border: none;
+            padding: 5px 15px;
+            border-radius: 20px;
+            cursor: pointer;
+            font-size: 12px;
+        `;
+        currentSiteRow.appendChild(currentSiteToggle);
+        currentSiteInfo.appendChild(currentSiteRow);
+        panel.appendChild(currentSiteInfo);
+
+        // 🆕 BUTTON VISIBILITY SECTION
+        const buttonSection = document.createElement('div');
+        buttonSection.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+        `;
+
+        const buttonTitle = document.createElement('div');
+        buttonTitle.textContent = 'Button Settings';
+        buttonTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            margin-bottom: 10px;
+            color: #90CAF9;
+        `;
+        buttonSection.appendChild(buttonTitle);
+
+        // Current button state
+        const buttonState = document.createElement('div');
+        buttonState.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 10px;
+            font-size: 13px;
+        `;
+        const isButtonVisible = utils.getButtonVisibility();
+        buttonState.innerHTML = `
+            <span>Floating button:</span>
+            <span style="color: ${isButtonVisible ? '#4CAF50' : '#f44336'}">
+                ${isButtonVisible ? 'VISIBLE' : 'HIDDEN'}
+            </span>
+        `;
+        buttonSection.appendChild(buttonState);
+
+        // Toggle button visibility button
+        const toggleButtonBtn = document.createElement('button');
+        toggleButtonBtn.id = 'toggle-button-visibility';
+        toggleButtonBtn.textContent = isButtonVisible ? 'Hide Button' : 'Show Button';
+        toggleButtonBtn.style.cssText = `
+            width: 100%;
+            background: ${isButtonVisible ? '#f44336' : '#4CAF50'};
+            color: white;
+            border: none;
+            padding: 10px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+            transition: background 0.3s;
+        `;
+
+        toggleButtonBtn.addEventListener('click', () => {
+            const newVisibility = this.toggleButtonVisibility();
+
+            // Update button text and color
+            toggleButtonBtn.textContent = newVisibility ? 'Hide Button' : 'Show Button';
+            toggleButtonBtn.style.background = newVisibility ? '#f44336' : '#4CAF50';
+
+            // Update status text
+            buttonState.innerHTML = `
+                <span>Floating button:</span>
+                <span style="color: ${newVisibility ? '#4CAF50' : '#f44336'}">
+                    ${newVisibility ? 'VISIBLE' : 'HIDDEN'}
+                </span>
+            `;
+        });
+
+        buttonSection.appendChild(toggleButtonBtn);
+        panel.appendChild(buttonSection);
+
+        // Userscript manager and Berry mode override
+        panel.appendChild(this.createCompatSection());
+
+        // All sites settings
+        const allSitesTitle = document.createElement('div');
+        allSitesTitle.textContent = 'ALL SITES';
+        allSitesTitle.style.cssText = `
+            font-size: 12px;
+            opacity: 0.8;
+            margin-top: 5px;
+            margin-bottom: 10px;
+        `;
+        panel.appendChild(allSitesTitle);
+
+        const sitesList = document.createElement('div');
+        sitesList.id = 'sites-list';
+        sitesList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+        panel.appendChild(sitesList);
+
+        // Stylesheet version for the current site
+        panel.appendChild(this.createChannelSection());
+
+        // Stylesheet layers for the current site
+        panel.appendChild(this.createLayersSection());
+
+        // Local dev server for the current site
+        panel.appendChild(this.createDevSection());
+
+        // Template variables, per site or for all sites
+        panel.appendChild(this.createTemplateSection());
+
+        // Imported UserCSS styles, shared by all sites
+        panel.appendChild(this.createUserStylesSection());
+
+        // Mirror and proxy chain, shared by all sites
+        panel.appendChild(this.createFetchChainSection());
+
+        // Add custom site section
+        panel.appendChild(this.createCustomSiteSection());
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.style.cssText = `
+            display: flex;
+            gap: 10px;
+            margin-top: 15px;
+            padding-top: 15px;
+            border-top: 1px solid rgba(255,255,255,0.2);
+        `;
+
+        const resetBtn = document.createElement('button');
+        resetBtn.textContent = 'Reset All';
+        resetBtn.style.cssText = `
+            background: #ff9800;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        resetBtn.addEventListener('click', () => {
+            if (confirm('Reset all site settings to defaults?')) {
+                utils.resetAllSiteSettings();
+                this.refreshSettingsPanel();
+                state.enabled = utils.getSiteEnabledState();
+                this.updateButtonState();
+                this.showToast('All settings reset');
+            }
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Close';
+        closeBtn.style.cssText = `
+            background: #666;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        closeBtn.addEventListener('click', () => {
+            this.toggleSettingsPanel();
+        });
+
+        const debugBtn = document.createElement('button');
+        debugBtn.textContent = 'Debug';
+        debugBtn.style.cssText = `
+            background: #2196F3;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        debugBtn.addEventListener('click', () => {
+            this.showDebugInfo();
+        });
+
+        const clearCacheBtn = document.createElement('button');
+        clearCacheBtn.textContent = 'Clear Cache';
+        clearCacheBtn.style.cssText = `
+            background: #f44336;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        clearCacheBtn.addEventListener('click', async () => {
+            const count = await utils.clearCache();
+            this.showToast(`Cleared ${count} cached stylesheets`);
+        });
+
+        actions.appendChild(resetBtn);
+        actions.appendChild(clearCacheBtn);
+        actions.appendChild(debugBtn);
+        actions.appendChild(closeBtn);
+        panel.appendChild(actions);
+
+        // Add panel to body
+        document.body.appendChild(panel);
+
+        // Add event listeners
+        document.getElementById('toggle-current-site').addEventListener('click', () => {
+            this.toggleCurrentSite();
+            this.refreshSettingsPanel();
+        });
+
+        // Initial refresh of sites list
+        this.refreshSettingsPanel();
+    },
+
+    createCompatSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Compatibility';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const managerInfo = document.createElement('div');
+        managerInfo.textContent = `Manager: ${gmApi.describe()}`;
+        managerInfo.style.cssText = `
+            font-size: 12px;
+            opacity: 0.8;
+        `;
+        section.appendChild(managerInfo);
+
+        const modeRow = document.createElement('div');
+        modeRow.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 13px;
+        `;
+
+        const modeLabel = document.createElement('span');
+        modeLabel.textContent = 'Berry mode:';
+        modeLabel.title = 'Fallback fetch strategies and longer delays for browsers without GM_xmlhttpRequest';
+
+        const modeLabels = {
+            auto: `AUTO (${!state.hasGrants ? 'ON' : 'OFF'})`,
+            berry: 'FORCED ON',
+            standard: 'FORCED OFF'
+        };
+        const modeColors = { auto: '#2196F3', berry: '#ff9800', standard: '#666' };
+        let compatMode = utils.getValue(CONFIG.COMPAT_MODE_KEY, 'auto');
+
+        const modeBtn = document.createElement('button');
+        modeBtn.style.cssText = `
+            color: white;
+            border: none;
+            padding: 4px 12px;
+            border-radius: 12px;
+            cursor: pointer;
+            font-size: 11px;
+            min-width: 50px;
+        `;
+        const renderMode = () => {
+            modeBtn.textContent = modeLabels[compatMode];
+            modeBtn.style.background = modeColors[compatMode];
+        };
+        renderMode();
+
+        modeBtn.addEventListener('click', () => {
+            const modes = Object.keys(modeLabels);
+            compatMode = modes[(modes.indexOf(compatMode) + 1) % modes.length];
+            utils.setValue(CONFIG.COMPAT_MODE_KEY, compatMode);
+            renderMode();
+            this.showToast(`Berry mode: ${modeLabels[compatMode]} - reload to apply`);
+        });
+
+        modeRow.appendChild(modeLabel);
+        modeRow.appendChild(modeBtn);
+        section.appendChild(modeRow);
+
+        return section;
+    },
+
+    createChannelSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Stylesheet Version';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const channelInfo = document.createElement('div');
+        channelInfo.id = 'channel-info';
+        channelInfo.style.cssText = `
+            font-size: 13px;
+        `;
+        section.appendChild(channelInfo);
+
+        const channelInput = document.createElement('input');
+        channelInput.id = 'channel-input';
+        channelInput.placeholder = 'main, a tag or a commit SHA';
+        channelInput.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+        `;
+        section.appendChild(channelInput);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = `
+            display: flex;
+            gap: 10px;
+        `;
+
+        const pinBtn = document.createElement('button');
+        pinBtn.textContent = 'Pin';
+        pinBtn.style.cssText = `
+            background: #4CAF50;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        pinBtn.addEventListener('click', async () => {
+            const channel = channelInput.value.trim() || CONFIG.DEFAULT_CHANNEL;
+            if (!channelManager.isValidChannel(channel) || channel === CONFIG.ROLLBACK_CHANNEL) {
+                this.showToast(`Invalid version: ${channel}`);
+                return;
+            }
+
+            const loaded = await channelManager.switchTo(channel);
+            this.refreshSettingsPanel();
+            this.showToast(loaded ? `${state.site.name} pinned to ${channel}` : `Could not load ${channel} - use Rollback`);
+        });
+
+        const rollbackBtn = document.createElement('button');
+        rollbackBtn.id = 'channel-rollback';
+        rollbackBtn.textContent = 'Rollback';
+        rollbackBtn.style.cssText = `
+            background: #ff9800;
+            color: white;
+            border: none;
+            padding: 8px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            flex: 1;
+        `;
+        rollbackBtn.addEventListener('click', async () => {
+            if (!(await channelManager.rollback())) {
+                this.showToast('No previous version to roll back to');
+                return;
+            }
+
+            this.refreshSettingsPanel();
+            this.showToast(`${state.site.name} rolled back`);
+        });
+
+        buttonRow.appendChild(pinBtn);
+        buttonRow.appendChild(rollbackBtn);
+        section.appendChild(buttonRow);
+
+        const trustRow = document.createElement('div');
+        trustRow.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 13px;
+        `;
+
+        const trustLabel = document.createElement('span');
+        trustLabel.textContent = 'Unverified CORS proxies:';
+        trustLabel.title = 'Proxy responses without a known SHA-256 are only used when allowed';
+
+        const trustBtn = document.createElement('button');
+        trustBtn.id = 'toggle-proxy-trust';
+        trustBtn.style.cssText = `
+            color: white;
+            border: none;
+            padding: 4px 12px;
+            border-radius: 12px;
+            cursor: pointer;
+            font-size: 11px;
+            min-width: 50px;
+        `;
+        trustBtn.addEventListener('click', () => {
+            const isTrusted = !integrityManager.isSiteTrusted();
+            integrityManager.setSiteTrusted(isTrusted);
+            this.refreshSettingsPanel();
+            this.showToast(`Unverified proxies ${isTrusted ? 'allowed' : 'blocked'} for ${state.site.name}`);
+        });
+
+        trustRow.appendChild(trustLabel);
+        trustRow.appendChild(trustBtn);
+        section.appendChild(trustRow);
+
+        return section;
+    },
+
+    refreshChannelInfo() {
+        const channelInfo = document.getElementById('channel-info');
+        if (!channelInfo) return;
+
+        channelInfo.textContent = `Version: ${channelManager.describe()}
+Dev Mode: ${devManager.describe()}`;
+
+        const channelInput = document.getElementById('channel-input');
+        const channel = channelManager.getChannel();
+        if (channelInput && channel !== CONFIG.ROLLBACK_CHANNEL) {
+            channelInput.value = channel;
+        }
+
+        const rollbackBtn = document.getElementById('channel-rollback');
+        const snapshot = channelManager.getSnapshot();
+        if (rollbackBtn) {
+            rollbackBtn.disabled = !snapshot || channel === CONFIG.ROLLBACK_CHANNEL;
+            rollbackBtn.style.opacity = rollbackBtn.disabled ? '0.5' : '1';
+            rollbackBtn.title = snapshot ? `Restore the ${snapshot.channel} version saved ${new Date(snapshot.savedAt).toLocaleString()}` : '';
+        }
+
+        const trustBtn = document.getElementById('toggle-proxy-trust');
+        if (trustBtn) {
+            const isTrusted = integrityManager.isSiteTrusted();
+            trustBtn.textContent = isTrusted ? 'ALLOWED' : 'BLOCKED';
+            trustBtn.style.background = isTrusted ? '#ff9800' : '#4CAF50';
+        }
+    },
+
+    createDevSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const titleRow = document.createElement('div');
+        titleRow.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Dev Mode';
+        sectionTitle.title = 'Load this site\'s sheet from a local server and hot swap it on every save';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.style.cssText = `
+            color: white;
+            border: none;
+            padding: 4px 12px;
+            border-radius: 12px;
+            cursor: pointer;
+            font-size: 11px;
+            min-width: 50px;
+        `;
+        const renderToggle = () => {
+            const isEnabled = devManager.isEnabled();
+            toggleBtn.textContent = isEnabled ? 'ON' : 'OFF';
+            toggleBtn.style.background = isEnabled ? '#ff9800' : '#666';
+        };
+        renderToggle();
+
+        titleRow.appendChild(sectionTitle);
+        titleRow.appendChild(toggleBtn);
+        section.appendChild(titleRow);
+
+        const urlInput = document.createElement('input');
+        urlInput.placeholder = devManager.getDefaultURL();
+        urlInput.value = devManager.getSettings().url || '';
+        urlInput.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+        `;
+        section.appendChild(urlInput);
+
+        const switchDevMode = async (isEnabled) => {
+            const url = urlInput.value.trim();
+            if (url && !/^https?:\/\//.test(url)) {
+                this.showToast('Dev server URL must start with http:// or https://');
+                return;
+            }
+
+            const loaded = await devManager.setEnabled(isEnabled, url);
+            renderToggle();
+            this.refreshSettingsPanel();
+            this.showToast(isEnabled
+                ? (loaded ? `Dev mode: watching ${devManager.getURL()}` : 'Dev mode on, but the dev server is not reachable yet')
+                : 'Dev mode off, back to the published sheet');
+        };
+
+        toggleBtn.addEventListener('click', () => switchDevMode(!devManager.isEnabled()));
+        urlInput.addEventListener('change', () => {
+            if (devManager.isEnabled()) switchDevMode(true);
+        });
+
+        return section;
+    },
+
+    createLayersSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Stylesheet Layers';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const layersList = document.createElement('div');
+        layersList.id = 'layers-list';
+        layersList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        section.appendChild(layersList);
+
+        const userCSSInput = document.createElement('textarea');
+        userCSSInput.placeholder = `Local CSS overrides for ${state.site.name}`;
+        userCSSInput.rows = 4;
+        userCSSInput.value = utils.getUserCSS();
+        userCSSInput.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+            font-family: monospace;
+        `;
+        section.appendChild(userCSSInput);
+
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save Overrides';
+        saveBtn.style.cssText = `
+            width: 100%;
+            background: #4CAF50;
+            color: white;
+            border: none;
+            padding: 10px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+        `;
+        saveBtn.addEventListener('click', async () => {
+            if (!utils.saveUserCSS(userCSSInput.value)) {
+                this.showToast('Failed to save overrides');
+                return;
+            }
+
+            await styleManager.refreshLayer('user');
+            this.refreshSettingsPanel();
+            this.showToast('Overrides saved');
+        });
+        section.appendChild(saveBtn);
+
+        return section;
+    },
+
+    refreshLayersList() {
+        const layersList = document.getElementById('layers-list');
+        if (!layersList) return;
+
+        layersList.innerHTML = '';
+
+        const layerLabels = { base: 'Shared base', site: 'Site stylesheet', user: 'Local overrides' };
+        const layerNames = ['base', 'site', 'user'].filter(name =>
+            (name !== 'base' || state.site.useSharedBase) &&
+            (name !== 'user' || utils.getUserCSS().trim()));
+
+        layerNames.forEach(name => {
+            const isEnabled = utils.isLayerEnabled(name);
+            const isActive = !!state.appliedLayers[name];
+
+            const layerItem = document.createElement('div');
+            layerItem.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-size: 13px;
+            `;
+
+            const layerName = document.createElement('span');
+            layerName.textContent = `${layerLabels[name]}${isActive ? '' : ' (not loaded)'}`;
+
+            const toggleBtn = document.createElement('button');
+            toggleBtn.textContent = isEnabled ? 'ON' : 'OFF';
+            toggleBtn.style.cssText = `
+                background: ${isEnabled ? '#4CAF50' : '#f44336'};
+                color: white;
+                border: none;
+                padding: 4px 12px;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 11px;
+                min-width: 50px;
+            `;
+            toggleBtn.addEventListener('click', async () => {
+                utils.saveLayerEnabled(name, !isEnabled);
+                await styleManager.refreshLayer(name);
+                this.refreshSettingsPanel();
+                this.showToast(`${layerLabels[name]}: ${!isEnabled ? 'ON' : 'OFF'}`);
+            });
+
+            layerItem.appendChild(layerName);
+            layerItem.appendChild(toggleBtn);
+            layersList.appendChild(layerItem);
+        });
+    },
+
+    createTemplateSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const titleRow = document.createElement('div');
+        titleRow.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Template Variables';
+        sectionTitle.title = 'Fills {{name}} and var(--styler-name) in the stylesheets';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+
+        const scopeBtn = document.createElement('button');
+        scopeBtn.id = 'template-scope';
+        scopeBtn.style.cssText = `
+            background: #2196F3;
+            color: white;
+            border: none;
+            padding: 4px 12px;
+            border-radius: 12px;
+            cursor: pointer;
+            font-size: 11px;
+            min-width: 50px;
+        `;
+        scopeBtn.addEventListener('click', () => {
+            this.templateScope = this.templateScope === 'global' ? 'site' : 'global';
+            this.refreshTemplateList();
+        });
+
+        titleRow.appendChild(sectionTitle);
+        titleRow.appendChild(scopeBtn);
+        section.appendChild(titleRow);
+
+        const varsList = document.createElement('div');
+        varsList.id = 'template-vars-list';
+        varsList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        section.appendChild(varsList);
+
+        const resetBtn = document.createElement('button');
+        resetBtn.textContent = 'Reset Variables';
+        resetBtn.style.cssText = `
+            width: 100%;
+            background: #666;
+            color: white;
+            border: none;
+            padding: 10px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+        `;
+        resetBtn.addEventListener('click', async () => {
+            const scope = this.templateScope;
+            templateManager.resetScope(scope);
+            await templateManager.refresh();
+            this.refreshTemplateList();
+            this.showToast(scope === 'global' ? 'Variables for all sites reset' : `Variables for ${state.site.name} reset`);
+        });
+        section.appendChild(resetBtn);
+
+        return section;
+    },
+
+    refreshTemplateList() {
+        const varsList = document.getElementById('template-vars-list');
+        if (!varsList) return;
+
+        const scope = this.templateScope;
+        const scopeValues = templateManager.getScopeValues(scope);
+
+        const scopeBtn = document.getElementById('template-scope');
+        if (scopeBtn) {
+            scopeBtn.textContent = scope === 'global' ? 'All sites' : 'This site';
+            scopeBtn.title = scope === 'global' ? 'Editing values shared by every site' : `Editing values for ${state.site.name} only`;
+        }
+
+        varsList.innerHTML = '';
+
+        templateManager.getDefinitions().forEach(definition => {
+            const row = document.createElement('label');
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+                font-size: 12px;
+            `;
+
+            const label = document.createElement('span');
+            label.textContent = definition.label;
+            label.title = `{{${definition.name}}} / var(${templateManager.toPropertyName(definition.name)})`;
+            row.appendChild(label);
+
+            const resolved = templateManager.resolve(definition.name);
+            const input = document.createElement('input');
+            if (definition.type === 'color' && /^#[0-9a-f]{6}$/i.test(scopeValues[definition.name] || resolved)) {
+                input.type = 'color';
+                input.value = scopeValues[definition.name] || resolved;
+            } else {
+                input.type = 'text';
+                input.value = scopeValues[definition.name] || '';
+                input.placeholder = resolved || 'unset';
+            }
+            input.style.cssText = `
+                max-width: 50%;
+                background: rgba(255,255,255,0.1);
+                color: white;
+                border: 1px solid rgba(255,255,255,0.2);
+                border-radius: 4px;
+                font-size: 12px;
+            `;
+
+            input.addEventListener('change', async () => {
+                if (!templateManager.setValue(scope, definition.name, input.value)) {
+                    this.showToast(`Invalid value for ${definition.label}`);
+                    return;
+                }
+                await templateManager.refresh();
+                this.refreshTemplateList();
+            });
+
+            row.appendChild(input);
+            varsList.appendChild(row);
+        });
+    },
+
+    createUserStylesSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'UserCSS Styles';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const stylesList = document.createElement('div');
+        stylesList.id = 'userstyles-list';
+        stylesList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+        section.appendChild(stylesList);
+
+        const fieldStyle = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+        `;
+
+        const urlInput = document.createElement('input');
+        urlInput.placeholder = 'https://.../theme.user.css';
+        urlInput.style.cssText = fieldStyle;
+        section.appendChild(urlInput);
+
+        const sourceInput = document.createElement('textarea');
+        sourceInput.placeholder = 'or paste a /* ==UserStyle== */ file';
+        sourceInput.rows = 3;
+        sourceInput.style.cssText = fieldStyle + 'font-family: monospace;';
+        section.appendChild(sourceInput);
+
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Import UserCSS';
+        importBtn.style.cssText = `
+            width: 100%;
+            background: #4CAF50;
+            color: white;
+            border: none;
+            padding: 10px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+        `;
+        importBtn.addEventListener('click', async () => {
+            const url = urlInput.value.trim();
+            const source = sourceInput.value.trim();
+            if (!source && !/^https?:\/\//.test(url)) {
+                this.showToast('Enter a UserCSS URL or paste its source');
+                return;
+            }
+
+            let style;
+            try {
+                style = source ? userStyleManager.importSource(source) : await userStyleManager.importFromURL(url);
+            } catch (error) {
+                this.showToast(`Import failed: ${error.message}`);
+                return;
+            }
+
+            urlInput.value = '';
+            sourceInput.value = '';
+            if (state.enabled) userStyleManager.sync();
+            this.refreshSettingsPanel();
+
+            const targets = userStyleManager.getTargetSites(style);
+            this.showToast(`${style.name} imported${targets.length ? ` for ${targets.join(', ')}` : ''}`);
+        });
+        section.appendChild(importBtn);
+
+        return section;
+    },
+
+    refreshUserStylesList() {
+        const stylesList = document.getElementById('userstyles-list');
+        if (!stylesList) return;
+
+        stylesList.innerHTML = '';
+
+        const createSmallButton = (text, background, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                background: ${background};
+                color: white;
+                border: none;
+                padding: 4px 10px;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 11px;
+                margin-left: 4px;
+            `;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        userStyleManager.getStyles().forEach(style => {
+            const item = document.createElement('div');
+            item.style.cssText = `
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                padding: 8px;
+                border-radius: 6px;
+                border: 1px solid rgba(255,255,255,0.1);
+                font-size: 13px;
+            `;
+
+            const header = document.createElement('div');
+            header.style.cssText = `
+                display: flex;
+                align-items: center;
+            `;
+
+            const name = document.createElement('span');
+            name.textContent = `${style.name}${style.version ? ` v${style.version}` : ''}`;
+            name.title = style.sourceURL || 'Pasted source';
+            name.style.cssText = `
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            `;
+            header.appendChild(name);
+
+            header.appendChild(createSmallButton(style.enabled ? 'ON' : 'OFF', style.enabled ? '#4CAF50' : '#f44336', () => {
+                userStyleManager.updateStyle(style.id, { enabled: !style.enabled });
+                if (state.enabled) userStyleManager.sync();
+                this.refreshSettingsPanel();
+            }));
+
+            header.appendChild(createSmallButton('✕', '#666', () => {
+                if (!confirm(`Remove UserCSS ${style.name}?`)) return;
+
+                userStyleManager.removeStyle(style.id);
+                userStyleManager.sync();
+                this.refreshSettingsPanel();
+                this.showToast(`${style.name} removed`);
+            }));
+            item.appendChild(header);
+
+            const targets = document.createElement('div');
+            const targetSites = userStyleManager.getTargetSites(style);
+            targets.textContent = `Applies to: ${targetSites.length ? targetSites.join(', ') : 'no styler sites'}`;
+            targets.style.cssText = `
+                font-size: 11px;
+                opacity: 0.7;
+            `;
+            item.appendChild(targets);
+
+            style.vars.forEach(variable => item.appendChild(this.createUserStyleVariableField(style, variable)));
+
+            stylesList.appendChild(item);
+        });
+    },
+
+    // One editor per @var type; every change is saved and applied straight away
+    createUserStyleVariableField(style, variable) {
+        const row = document.createElement('label');
+        row.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            font-size: 12px;
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = variable.label;
+        row.appendChild(label);
+
+        const value = style.values[variable.name] !== undefined ? style.values[variable.name] : variable.default;
+        let input;
+
+        if (variable.type === 'select') {
+            input = document.createElement('select');
+            variable.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = option.label;
+                input.appendChild(element);
+            });
+            input.value = value;
+        } else {
+            input = document.createElement('input');
+            input.type = { color: 'color', checkbox: 'checkbox', number: 'number', range: 'range' }[variable.type] || 'text';
+            if (variable.type === 'checkbox') {
+                input.checked = value === '1';
+            } else {
+                input.value = value;
+            }
+            ['min', 'max', 'step'].forEach(attribute => {
+                if (variable[attribute] !== undefined && variable[attribute] !== null) input[attribute] = variable[attribute];
+            });
+        }
+
+        input.style.cssText = `
+            max-width: 50%;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 4px;
+            font-size: 12px;
+        `;
+
+        input.addEventListener('change', () => {
+            const newValue = variable.type === 'checkbox' ? (input.checked ? '1' : '0') : input.value;
+            userStyleManager.setVariable(style.id, variable.name, newValue);
+            if (state.enabled) userStyleManager.sync();
+        });
+
+        row.appendChild(input);
+        return row;
+    },
+
+    createFetchChainSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Mirrors & Proxies';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const chainList = document.createElement('div');
+        chainList.id = 'fetch-chain-list';
+        chainList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        section.appendChild(chainList);
+
+        const fieldStyle = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+        `;
+
+        const kindSelect = document.createElement('select');
+        kindSelect.style.cssText = fieldStyle;
+        [['mirrors', 'Add mirror: {user} {repo} {ref} {path}'], ['proxies', 'Add proxy: {url}']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            kindSelect.appendChild(option);
+        });
+        section.appendChild(kindSelect);
+
+        const templateInput = document.createElement('input');
+        templateInput.placeholder = 'https://styles.example.com/{ref}/{path}';
+        templateInput.style.cssText = fieldStyle;
+        section.appendChild(templateInput);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = `
+            display: flex;
+            gap: 6px;
+        `;
+
+        const createButton = (text, background, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                flex: 1;
+                background: ${background};
+                color: white;
+                border: none;
+                padding: 8px;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 12px;
+            `;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+            return button;
+        };
+
+        createButton('Add', '#4CAF50', () => {
+            const template = templateInput.value.trim();
+            if (!mirrorManager.addEntry(kindSelect.value, '', template)) {
+                this.showToast(kindSelect.value === 'proxies' ? 'Proxy URL must contain {url}' : 'Mirror URL must contain {path}');
+                return;
             }
+
+            templateInput.value = '';
+            this.refreshFetchChainList();
+            this.showToast('Added to fetch chain');
         });
 
-        const observeTarget = state.site.isFacebook ? document.body : document.head;
-        const observeOptions = state.site.isFacebook ? {
-            childList: true,
-            subtree: true
-        } : {
-            childList: true,
-            subtree: false
-        };
+        createButton('Reset', '#666', () => {
+            if (!confirm('Restore the default mirrors and proxies?')) return;
 
-        state.observer.observe(observeTarget, observeOptions);
-    },
+            mirrorManager.resetChain();
+            this.refreshFetchChainList();
+            this.showToast('Fetch chain reset');
+        });
 
-    createAggressiveObserver() {
-        let checkCount = 0;
-        const maxChecks = 50;
+        // Successful strategies get tried first from then on, this drops that history
+        createButton('Forget order', '#666', () => {
+            this.showToast(strategyManager.reset() ? 'Learned fetch order cleared' : 'Failed to clear the fetch order');
+        });
 
-        const checkAndReapply = async () => {
-            if (checkCount++ > maxChecks) {
-                clearInterval(intervalId);
-                utils.log('Aggressive observer stopped', 'debug');
-                return;
-            }
+        section.appendChild(buttonRow);
 
-            if (!styleManager.isApplied() && state.enabled) {
-                utils.log('Style missing, reapplying...', 'debug');
-                await styleManager.forceReapply();
-            }
+        return section;
+    },
+
+    refreshFetchChainList() {
+        const chainList = document.getElementById('fetch-chain-list');
+        if (!chainList) return;
+
+        chainList.innerHTML = '';
+        const chain = mirrorManager.getChain();
+
+        const createSmallButton = (text, background, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                background: ${background};
+                color: white;
+                border: none;
+                padding: 4px 8px;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 11px;
+                margin-left: 4px;
+            `;
+            button.addEventListener('click', () => {
+                onClick();
+                this.refreshFetchChainList();
+            });
+            return button;
         };
 
-        const intervalId = setInterval(checkAndReapply, 2000);
+        const createHeading = (text, toggle) => {
+            const heading = document.createElement('div');
+            heading.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-size: 12px;
+                color: #aaa;
+            `;
+            heading.textContent = text;
+            if (toggle) heading.appendChild(toggle);
+            chainList.appendChild(heading);
+        };
 
-        state.observer = {
-            disconnect: () => clearInterval(intervalId)
+        const renderEntries = (kind) => {
+            chain[kind].forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.style.cssText = `
+                    display: flex;
+                    align-items: center;
+                    font-size: 13px;
+                    opacity: ${kind === 'proxies' && !chain.proxiesEnabled ? '0.5' : '1'};
+                `;
+
+                const label = document.createElement('span');
+                label.textContent = `${index + 1}. ${entry.name}`;
+                label.title = entry.template;
+                label.style.cssText = `
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                `;
+                item.appendChild(label);
+
+                item.appendChild(createSmallButton('▲', '#666', () => mirrorManager.moveEntry(kind, index, -1)));
+                item.appendChild(createSmallButton('▼', '#666', () => mirrorManager.moveEntry(kind, index, 1)));
+                item.appendChild(createSmallButton(entry.enabled ? 'ON' : 'OFF', entry.enabled ? '#4CAF50' : '#f44336', () => {
+                    mirrorManager.updateEntry(kind, index, { enabled: !entry.enabled });
+                    if (kind === 'mirrors' && !mirrorManager.getChain().mirrors.some(mirror => mirror.enabled)) {
+                        this.showToast('No mirrors enabled: stylesheets will not be fetched');
+                    }
+                }));
+                item.appendChild(createSmallButton('✕', '#666', () => mirrorManager.removeEntry(kind, index)));
+
+                chainList.appendChild(item);
+            });
         };
-    },
 
-    cleanup() {
-        if (state.observer) {
-            if (state.observer.disconnect) {
-                state.observer.disconnect();
-            }
-            state.observer = null;
-        }
-    }
-};
+        createHeading('Mirrors (tried in order)');
+        renderEntries('mirrors');
 
-// 📱 Floating button for Berry Browser
-const uiManager = {
-    setup() {
-        this.createFloatingButton();
+        createHeading('CORS proxies', createSmallButton(chain.proxiesEnabled ? 'ALL ON' : 'ALL OFF',
+            chain.proxiesEnabled ? '#ff9800' : '#4CAF50',
+            () => {
+                mirrorManager.setProxiesEnabled(!chain.proxiesEnabled);
+                this.showToast(`CORS proxies ${chain.proxiesEnabled ? 'disabled' : 'enabled'}`);
+            }));
+        renderEntries('proxies');
     },
 
-    createFloatingButton() {
-        const button = document.createElement('div');
-        button.id = 'ai-styler-btn';
-        button.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            width: 50px;
-            height: 50px;
-            border-radius: 50%;
+    createCustomSiteSection() {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            padding: 10px;
+            background: rgba(255,255,255,0.05);
+            border-radius: 8px;
+            margin: 10px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = 'Add Custom Site';
+        sectionTitle.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #90CAF9;
+        `;
+        section.appendChild(sectionTitle);
+
+        const fieldStyle = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.2);
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 12px;
+        `;
+
+        const createField = (tag, placeholder) => {
+            const field = document.createElement(tag);
+            field.placeholder = placeholder;
+            field.style.cssText = fieldStyle;
+            section.appendChild(field);
+            return field;
+        };
+
+        const patternInput = createField('input', 'Hostname pattern (*.example.com or /regex/)');
+        const nameInput = createField('input', 'Display name (optional)');
+        const urlInput = createField('input', 'Stylesheet URL (https://...)');
+        const cssInput = createField('textarea', 'or inline CSS');
+        cssInput.rows = 3;
+        const readyInput = createField('input', 'Ready selector (optional)');
+
+        const modeSelect = document.createElement('select');
+        modeSelect.style.cssText = fieldStyle;
+        [['standard', 'Reapply: when removed'], ['aggressive', 'Reapply: aggressive polling']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            modeSelect.appendChild(option);
+        });
+        section.appendChild(modeSelect);
+
+        const framesSelect = document.createElement('select');
+        framesSelect.style.cssText = fieldStyle;
+        [['top', 'Frames: top-level pages only'], ['frames', 'Frames: also style embedded frames']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            framesSelect.appendChild(option);
+        });
+        section.appendChild(framesSelect);
+
+        const addBtn = document.createElement('button');
+        addBtn.textContent = 'Add Site';
+        addBtn.style.cssText = `
+            width: 100%;
+            background: #4CAF50;
             color: white;
             border: none;
-            font-size: 24px;
+            padding: 10px;
+            border-radius: 6px;
             cursor: pointer;
-            z-index: 999999;
-            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            transition: all 0.3s;
-            user-select: none;
-            -webkit-tap-highlight-color: transparent;
+            font-size: 13px;
         `;
+        addBtn.addEventListener('click', () => {
+            const def = {
+                pattern: patternInput.value.trim(),
+                name: nameInput.value.trim(),
+                styleURL: urlInput.value.trim(),
+                inlineCSS: cssInput.value.trim(),
+                readySelector: readyInput.value.trim(),
+                reapplyMode: modeSelect.value,
+                allowFrames: framesSelect.value === 'frames'
+            };
 
-        this.updateButtonState(button);
+            if (!def.pattern) {
+                this.showToast('Hostname pattern is required');
+                return;
+            }
+            if (!def.inlineCSS && !/^https?:\/\//.test(def.styleURL)) {
+                this.showToast('Enter a stylesheet URL or inline CSS');
+                return;
+            }
 
-        button.addEventListener('click', (e) => {
-            e.stopPropagation();
-            e.preventDefault();
-            this.toggleStyles();
+            try {
+                if (!siteRegistry.addCustomSite(def)) {
+                    this.showToast('Failed to save custom site');
+                    return;
+                }
+            } catch (error) {
+                this.showToast(`Invalid pattern: ${error.message}`);
+                return;
+            }
+
+            [patternInput, nameInput, urlInput, cssInput, readyInput].forEach(field => { field.value = ''; });
+            this.refreshSettingsPanel();
+            this.showToast(`${def.name || def.pattern} added - reload matching pages to apply`);
         });
+        section.appendChild(addBtn);
 
-        if (state.isBerryBrowser) {
-            let longPressTimer;
-            button.addEventListener('touchstart', (e) => {
-                longPressTimer = setTimeout(() => {
-                    this.showDebugInfo();
-                }, 1500);
-            });
-    
-            button.addEventListener('touchend', () => {
-                clearTimeout(longPressTimer);
-            });
-        }
+        return section;
+    },
 
-        const addButton = () => {
-            if (document.body) {
-                document.body.appendChild(button);
-            } else {
-                setTimeout(addButton, 100);
+    refreshSettingsPanel() {
+        const sitesList = document.getElementById('sites-list');
+        if (!sitesList) return;
+
+        const allSettings = utils.getAllSiteSettings();
+        sitesList.innerHTML = '';
+
+        Object.keys(SITES).forEach(domain => {
+            const site = SITES[domain];
+            const isEnabled = allSettings[domain];
+            const isCurrent = domain === state.site.key;
+
+            const siteItem = document.createElement('div');
+            siteItem.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 8px;
+                background: ${isCurrent ? 'rgba(100, 100, 255, 0.2)' : 'transparent'};
+                border-radius: 6px;
+                border: 1px solid rgba(255,255,255,0.1);
+            `;
+
+            const siteName = document.createElement('div');
+            siteName.textContent = site.name;
+            siteName.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            `;
+
+            if (isCurrent) {
+                const currentBadge = document.createElement('span');
+                currentBadge.textContent = '●';
+                currentBadge.style.cssText = `
+                    color: #4CAF50;
+                    font-size: 12px;
+                `;
+                siteName.prepend(currentBadge);
             }
-        };
-        addButton();
-    },
 
-    updateButtonState(button) {
-        if (!button) button = document.getElementById('ai-styler-btn');
-        if (!button) return;
+            const toggleBtn = document.createElement('button');
+            toggleBtn.textContent = isEnabled ? 'ON' : 'OFF';
+            toggleBtn.style.cssText = `
+                background: ${isEnabled ? '#4CAF50' : '#f44336'};
+                color: white;
+                border: none;
+                padding: 4px 12px;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 11px;
+                min-width: 50px;
+            `;
+
+            toggleBtn.addEventListener('click', () => {
+                const settings = utils.getSiteSettings();
+                settings[domain] = !isEnabled;
+                utils.saveSiteSettings(settings);
+
+                // If toggling current site, update UI immediately
+                if (domain === state.site.key) {
+                    state.enabled = !isEnabled;
+                    this.applyEnabledState();
+                    this.updateButtonState();
+                }
 
-        let icon;
-        if (state.site.isGoogle) {
-            icon = state.enabled ? '🔍' : '🔎';
-        } else if (state.site.isGmail) {
-            icon = state.enabled ? '📧' : '✉️';
-        } else if (state.site.isGitHub) {
-            icon = state.enabled ? '🐙' : '⚫';
-        } else if (state.site.isFacebook) {
-            icon = state.enabled ? '👤' : '🙈';
-        } else if (state.site.isTwitter) {
-            icon = state.enabled ? '🐦' : '🚫';
-        } else if (state.site.isStackOverflow) {
-            icon = state.enabled ? '💻' : '🖥️';
-        } else {
-            icon = state.enabled ? '🎨' : '🚫';
-        }
+                this.refreshSettingsPanel();
+                this.showToast(`${site.name}: ${!isEnabled ? 'ENABLED' : 'DISABLED'}`);
+            });
 
-        button.innerHTML = icon;
-        button.style.opacity = state.enabled ? '1' : '0.6';
-        button.title = `${state.site.name}: ${state.enabled ? 'ON' : 'OFF'}`;
+            siteItem.appendChild(siteName);
+            siteItem.appendChild(toggleBtn);
+
+            if (site.isCustom) {
+                const removeBtn = document.createElement('button');
+                removeBtn.textContent = '✕';
+                removeBtn.title = 'Remove custom site';
+                removeBtn.style.cssText = `
+                    background: #666;
+                    color: white;
+                    border: none;
+                    padding: 4px 8px;
+                    border-radius: 12px;
+                    cursor: pointer;
+                    font-size: 11px;
+                    margin-left: 6px;
+                `;
+                removeBtn.addEventListener('click', () => {
+                    if (!confirm(`Remove custom site ${site.name}?`)) return;
+
+                    if (siteRegistry.removeCustomSite(domain)) {
+                        this.refreshSettingsPanel();
+                        this.showToast(`${site.name} removed`);
+                    } else {
+                        this.showToast(`Failed to remove ${site.name}`);
+                    }
+                });
+                siteItem.appendChild(removeBtn);
+            }
 
-        // Set background based on site
-        if (state.site.isGitHub) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #24292e 0%, #2dba4e 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else if (state.site.isGoogle) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #4285f4 0%, #34a853 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else if (state.site.isGmail) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #D14836 0%, #F1B8AE 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else if (state.site.isFacebook) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #1877F2 0%, #0d8bf0 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else if (state.site.isTwitter) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #000000 0%, #1DA1F2 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else if (state.site.isStackOverflow) {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #F48024 0%, #BCBBBB 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        } else {
-            button.style.background = state.enabled
-                ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
-                : 'linear-gradient(135deg, #666 0%, #999 100%)';
-        }
+            sitesList.appendChild(siteItem);
+        });
 
-        if (state.isLoading) {
-            button.style.animation = 'pulse 1.5s infinite';
-        } else {
-            button.style.animation = 'none';
+        this.refreshChannelInfo();
+        this.refreshLayersList();
+        this.refreshFetchChainList();
+        this.refreshTemplateList();
+        this.refreshUserStylesList();
+
+        // Update current site toggle button
+        const currentToggleBtn = document.getElementById('toggle-current-site');
+        if (currentToggleBtn) {
+            currentToggleBtn.textContent = state.enabled ? 'ENABLED' : 'DISABLED';
+            currentToggleBtn.style.background = state.enabled ? '#4CAF50' : '#f44336';
         }
     },
 
-    toggleStyles() {
-        state.enabled = !state.enabled;
+    toggleSettingsPanel() {
+        const panel = document.getElementById('site-styler-settings');
+        if (!panel) return;
 
-        if (state.enabled) {
-            styleManager.apply();
-            observerManager.setup();
+        if (panel.style.display === 'flex') {
+            panel.style.display = 'none';
         } else {
-            styleManager.remove();
-            observerManager.cleanup();
+            panel.style.display = 'flex';
+            this.refreshSettingsPanel();
         }
-
-        this.updateButtonState();
-        this.showToast(`${state.site.name}: ${state.enabled ? 'ON' : 'OFF'}`);
     },
 
     showDebugInfo() {
+        const allSettings = utils.getAllSiteSettings();
         const info = `
-🍓 Berry Browser Debug Info:
-Site: ${state.site.name}
-URL: ${state.site.styleURL}
-Enabled: ${state.enabled}
-Fetch Attempts: ${state.fetchAttempts}
+🍓 Site Styler Debug Info:
+Current Site: ${state.site.name} (${state.enabled ? 'ENABLED' : 'DISABLED'})
+Version: ${channelManager.describe()}
+Primary URL: ${state.site.styleURL}
+Fallback URL: ${state.site.fallbackURL || 'None'}
+Unverified Proxies: ${integrityManager.isSiteTrusted() ? 'ALLOWED' : 'BLOCKED'}
+${mirrorManager.describe()}
+Button Visible: ${utils.getButtonVisibility() ? 'YES' : 'NO'}
+Settings Storage: ${settingsStore.describe()}
+Userscript Manager: ${gmApi.describe()}
+Berry Mode: ${state.isBerryBrowser ? 'ON' : 'OFF'} (${utils.getValue(CONFIG.COMPAT_MODE_KEY, 'auto')})
+
+ALL SITE SETTINGS:
+${Object.keys(allSettings).map(domain => `  ${domain}: ${allSettings[domain] ? '✅' : '❌'}`).join('\n')}
+
 CSS Content: ${state.cssContent ? state.cssContent.length + ' chars' : 'None'}
-Applied Method: ${state.appliedMethod || 'None'}
+Fetch Attempts: ${state.fetchAttempts}
+Cache: ${cacheStore.describe()}
+Template Variables: ${templateManager.describe()}
+UserCSS: ${userStyleManager.describe()}
+Fetch Strategies: ${strategyManager.describe()}
+Applied Layers: ${Object.entries(state.appliedLayers).map(([name, method]) => `${name} (${method})`).join(', ') || 'None'}
 Style Applied: ${styleManager.isApplied()}
+Adopted Sheets: ${state.canAdoptSheets ? `supported, ${styleManager.adopted.size} in use` : 'not supported'}
+Sanitizer: ${cssSanitizer.describe()}
 User Agent: ${navigator.userAgent}
         `.trim();
 
@@ -1321,18 +5786,190 @@ User Agent: ${navigator.userAgent}
         this.showToast('Debug info logged to console');
     },
 
-    showToast(message) {
+    // Background refreshes stay pending until accepted here; apply swaps the accepted sheet into its layer.
+    // Unanswered updates are offered again on the next load
+    notifyStylesheetChange(update, label, apply) {
+        const diff = cssLoader.diffRules(update.previousCSS, update.css);
+        const total = diff.added.length + diff.removed.length + diff.changed.length;
+        if (total === 0) {
+            utils.log(`${label} stylesheet update only changed formatting, applying`, 'debug');
+            cssLoader.acceptUpdate(update).then(() => apply(update.css));
+            return;
+        }
+
+        this.showToast(`${label} stylesheet update available: ${total} rule${total === 1 ? '' : 's'} changed`, {
+            label: 'View changes',
+            onClick: () => this.showStylesheetDiff(diff, label, {
+                accept: async () => {
+                    await cssLoader.acceptUpdate(update);
+                    apply(update.css);
+                },
+                skip: () => cssLoader.skipUpdate(update)
+            })
+        });
+    },
+
+    showStylesheetDiff(diff, label, actions) {
+        const existing = document.getElementById('site-styler-diff');
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = 'site-styler-diff';
+        panel.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0,0,0,0.95);
+            color: white;
+            padding: 20px;
+            border-radius: 12px;
+            z-index: 999999;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+            backdrop-filter: blur(10px);
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            min-width: 300px;
+            max-width: 90vw;
+            max-height: 70vh;
+            overflow-y: auto;
+            font-family: system-ui, -apple-system, sans-serif;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = `🔍 ${label} Stylesheet Changes`;
+        title.style.cssText = `
+            font-size: 18px;
+            font-weight: bold;
+            border-bottom: 1px solid rgba(255,255,255,0.2);
+            padding-bottom: 10px;
+        `;
+        panel.appendChild(title);
+
+        const MAX_ENTRIES = 50;
+        const createLine = (text, color) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            line.style.cssText = `
+                font-family: monospace;
+                font-size: 11px;
+                color: ${color};
+                padding-left: 12px;
+                white-space: pre-wrap;
+                word-break: break-all;
+            `;
+            return line;
+        };
+
+        const addGroup = (label, color, entries, renderEntry) => {
+            if (entries.length === 0) return;
+
+            const group = document.createElement('div');
+            group.style.cssText = `
+                padding: 10px;
+                background: rgba(255,255,255,0.05);
+                border-radius: 8px;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            `;
+
+            const heading = document.createElement('div');
+            heading.textContent = `${label} (${entries.length})`;
+            heading.style.cssText = `
+                font-size: 14px;
+                font-weight: bold;
+                color: ${color};
+            `;
+            group.appendChild(heading);
+
+            entries.slice(0, MAX_ENTRIES).forEach(entry => {
+                const selector = document.createElement('div');
+                selector.textContent = entry.selector || '(no selector)';
+                selector.style.cssText = `
+                    font-family: monospace;
+                    font-size: 12px;
+                    margin-top: 4px;
+                    word-break: break-all;
+                `;
+                group.appendChild(selector);
+                renderEntry(entry).forEach(line => group.appendChild(line));
+            });
+
+            if (entries.length > MAX_ENTRIES) {
+                group.appendChild(createLine(`…and ${entries.length - MAX_ENTRIES} more`, '#999'));
+            }
+
+            panel.appendChild(group);
+        };
+
+        addGroup('Added', '#4CAF50', diff.added,
+            entry => entry.declarations.map(declaration => createLine(`+ ${declaration}`, '#81C784')));
+        addGroup('Removed', '#f44336', diff.removed,
+            entry => entry.declarations.map(declaration => createLine(`- ${declaration}`, '#E57373')));
+        addGroup('Changed', '#ff9800', diff.changed, entry => [
+            ...entry.removed.map(declaration => createLine(`- ${declaration}`, '#E57373')),
+            ...entry.added.map(declaration => createLine(`+ ${declaration}`, '#81C784'))
+        ]);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = `
+            display: flex;
+            gap: 8px;
+        `;
+
+        const createButton = (text, background, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                flex: 1;
+                background: ${background};
+                color: white;
+                border: none;
+                padding: 10px;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+            `;
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+        };
+
+        createButton('Accept', '#4CAF50', async () => {
+            panel.remove();
+            await actions.accept();
+            this.showToast(`${label} stylesheet updated`);
+        });
+
+        createButton('Keep Previous', '#ff9800', async () => {
+            panel.remove();
+            await actions.skip();
+            this.showToast('Previous version kept. This update will not be offered again.');
+        });
+
+        panel.appendChild(buttonRow);
+        document.body.appendChild(panel);
+    },
+
+    // An action adds a button and keeps the toast up longer
+    showToast(message, action = null) {
+        // Toasts still on screen push the new one up
+        const offset = [...document.querySelectorAll('[data-styler-toast]')]
+            .reduce((total, other) => total + other.offsetHeight + 8, 0);
+
         const toast = document.createElement('div');
+        toast.dataset.stylerToast = '';
         toast.style.cssText = `
             position: fixed;
-            bottom: 80px;
+            bottom: ${140 + offset}px;
             right: 20px;
             background: rgba(0,0,0,0.85);
             color: white;
             padding: 12px 20px;
             border-radius: 8px;
             font-size: 14px;
-            z-index: 999998;
+            z-index: 999997;
             box-shadow: 0 4px 12px rgba(0,0,0,0.3);
             animation: slideIn 0.3s ease;
             max-width: 300px;
@@ -1341,13 +5978,34 @@ User Agent: ${navigator.userAgent}
 
         toast.textContent = message;
 
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.textContent = action.label;
+            actionBtn.style.cssText = `
+                display: block;
+                margin-top: 8px;
+                background: #2196F3;
+                color: white;
+                border: none;
+                padding: 4px 12px;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 12px;
+            `;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
         if (document.body) {
             document.body.appendChild(toast);
             setTimeout(() => {
                 toast.style.opacity = '0';
                 toast.style.transform = 'translateY(10px)';
                 setTimeout(() => toast.remove(), 300);
-            }, 3000);
+            }, action ? 10000 : 3000);
         }
     }
 };
@@ -1357,6 +6015,9 @@ const navigationManager = {
     init() {
         window.addEventListener('popstate', this.handleURLChange);
         window.addEventListener('hashchange', this.handleURLChange);
+
+        // pushState navigation fires no event, so poll for it as well
+        setInterval(() => this.handleURLChange(), CONFIG.URL_CHECK_INTERVAL);
     },
 
     handleURLChange: utils.throttle(() => {
@@ -1365,21 +6026,85 @@ const navigationManager = {
             utils.log(`URL changed: ${state.currentURL}`, 'debug');
 
             if (state.enabled) {
-                setTimeout(() => styleManager.forceReapply(), 300);
+                styleManager.restoreAdoptedSheets();
+                navigationManager.syncPathStyles();
+                userStyleManager.sync();
+                setTimeout(() => {
+                    styleManager.forceReapply();
+                    pageTypeManager.update();
+                }, 300);
+            }
+        }
+    }, 500),
+
+    // '*' matches any run of characters, including '/'
+    matchesPath(pattern, pathname) {
+        if (pattern instanceof RegExp) return pattern.test(pathname);
+
+        const source = pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`).test(pathname);
+    },
+
+    getPathStyleID(index) {
+        return `${state.site.styleID}-path-${index}`;
+    },
+
+    async syncPathStyles() {
+        const pathStyles = state.site.pathStyles || [];
+        const pathname = location.pathname;
+        const activeIDs = pathStyles
+            .map((layer, index) => this.matchesPath(layer.path, pathname) ? this.getPathStyleID(index) : null)
+            .filter(Boolean);
+
+        styleManager.findAll('stylerPath').forEach(style => {
+            if (!activeIDs.includes(style.id)) {
+                styleManager.removeStyle(style.id);
+                utils.log(`Removed path styles for ${style.dataset.stylerPath}`, 'debug');
+            }
+        });
+
+        for (const [index, layer] of pathStyles.entries()) {
+            const styleID = this.getPathStyleID(index);
+            if (!activeIDs.includes(styleID) || styleManager.find(styleID)) continue;
+
+            let css;
+            try {
+                css = await cssLoader.fetchCached(`${state.site.name}:${layer.path}`, layer.styleURL, null,
+                    update => uiManager.notifyStylesheetChange(update, `${state.site.name} ${layer.path}`,
+                        freshCSS => styleManager.swapStyle(styleID, freshCSS)));
+            } catch (error) {
+                utils.log(`Failed to load path stylesheet for ${layer.path}: ${error.message}`, 'error');
+                continue;
+            }
+
+            // The URL may have changed while the sheet was loading
+            if (!state.enabled || !this.matchesPath(layer.path, location.pathname)) continue;
+
+            if (styleManager.injectExtraStyle(styleID, css, { stylerPath: String(layer.path) }, 'path')) {
+                utils.log(`Applied path styles for ${layer.path}`, 'success');
             }
         }
-    }, 500)
+    },
+
+    removePathStyles() {
+        styleManager.findAll('stylerPath').forEach(style => styleManager.removeStyle(style.id));
+    }
 };
 
 // 🚀 Main application
 const app = {
     async init() {
-        utils.log(`🚀 Initializing ${state.site.name} Styler v3.9`, 'info');
-        utils.log(`Mode: ${state.isBerryBrowser ? '🍓 Berry Browser' : 'Standard'}`, 'info');
+        utils.log(`🚀 Initializing ${state.site.name} Styler v11.0`, 'info');
+        utils.log(`Mode: ${state.isBerryBrowser ? '🍓 Berry mode' : 'Standard'}`, 'info');
+        utils.log(`Site setting: ${state.enabled ? 'ENABLED' : 'DISABLED'}`, 'config');
+        utils.log(`Button: ${utils.getButtonVisibility() ? 'VISIBLE' : 'HIDDEN'}`, 'config');
         
         // 🆕 Debug log to verify site detection
         console.log('🚀 Site detection result:', {
             hostname: window.location.hostname,
+            siteKey: state.site.key,
             siteName: state.site.name,
             isGmail: state.site.isGmail,
             isGoogle: state.site.isGoogle
@@ -1407,14 +6132,29 @@ const app = {
             initialDelay = CONFIG.STACKOVERFLOW_DELAY;
         }
 
+        // Cached sheets went in at document-start, so the delays would only hold back revalidation
+        styleManager.relocateEarlyStyles();
+        if (styleManager.isApplied()) {
+            initialDelay = 0;
+        }
+
         setTimeout(async () => {
-            await this.applyWithRetry();
-            observerManager.setup();
-            uiManager.setup();
+            if (state.enabled) {
+                await this.applyWithRetry();
+                observerManager.setup();
+                pageTypeManager.start();
+                navigationManager.syncPathStyles();
+                userStyleManager.sync();
+                devManager.start();
+            }
+            // The panel and menu commands belong to the top-level page, not every styled frame
+            if (!inFrame) uiManager.setup();
             navigationManager.init();
             this.setupEventListeners();
 
             utils.log(`Initialization complete. Status: ${state.enabled ? 'ENABLED ✅' : 'DISABLED ❌'}`, 'success');
+
+            manifestLoader.refresh().catch(error => utils.log(`Site manifest refresh failed: ${error.message}`, 'error'));
         }, initialDelay);
     },
 
@@ -1433,8 +6173,15 @@ const app = {
                 utils.log(`Attempt ${attempt} error: ${error.message}`, 'error');
             }
 
+            if (!state.enabled) return;
+
+            // Failures while offline don't use up attempts, the wait ends when the connection returns
+            if (navigator.onLine === false) {
+                attempt--;
+            }
+
             if (attempt < CONFIG.MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
+                await utils.waitForRetry(Math.max(attempt, 1));
             }
         }
 
@@ -1456,6 +6203,8 @@ const app = {
 
         window.addEventListener('beforeunload', () => {
             observerManager.cleanup();
+            pageTypeManager.stop();
+            devManager.stop();
         });
     },
 
@@ -1479,6 +6228,14 @@ const app = {
 };
 
 // 🏁 Start the application
+// Cached sheets go in now, at document-start, before the first paint; everything else waits for the DOM
+if (state.enabled) {
+    await styleManager.applyCached();
+} else {
+    earlyCSS.discard();
+    earlyCSS.clear();
+}
+
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => app.init());
 } else {